@@ -2,14 +2,91 @@
 
 const setImmediate = require('async/setImmediate')
 const Multicast = require('./index')
+const Codecs = require('./codecs')
+const utils = require('./utils')
+const maybePromise = utils.maybePromise
 
 const NOT_STARTED_YET = 'The libp2p node is not started yet'
 
-module.exports = (node) => {
-  const multicast = new Multicast(node)
+module.exports = (node, options) => {
+  const multicast = new Multicast(node, options)
 
   node._multicast = multicast
 
+  const notStarted = () => !node.isStarted() && !multicast.started
+
+  const codecs = new Codecs()
+
+  // the handlers decoding the messages for each subscriber, by topic,
+  // one per subscription as the same handler can subscribe again
+  const decoders = new Map()
+
+  // decode the data of the messages before handing them over, decode
+  // failures are emitted as `message:error` and the message dropped
+  const decoder = (topic, codec, handler) => (msg) => {
+    const msgTopic = msg.topicIDs.filter((t) => utils.topicMatch(topic, t))[0] || topic
+
+    let data
+    try {
+      data = codecs.pick(msgTopic, codec).decode(msg.data)
+    } catch (err) {
+      multicast.emit('message:error', err, msg)
+      return
+    }
+
+    handler(Object.assign({}, msg, { data: data }))
+  }
+
+  const addDecoder = (topic, codec, handler) => {
+    if (!decoders.has(topic)) {
+      decoders.set(topic, new Map())
+    }
+
+    const handlers = decoders.get(topic)
+    if (!handlers.has(handler)) {
+      handlers.set(handler, [])
+    }
+
+    const decode = decoder(topic, codec, handler)
+    handlers.get(handler).push(decode)
+    return decode
+  }
+
+  // the last one added, the listener `removeListener` removes first
+  const removeDecoder = (topic, handler) => {
+    const handlers = decoders.get(topic)
+    const decodes = handlers && handlers.get(handler)
+    if (!decodes) {
+      return handler
+    }
+
+    const decode = decodes.pop()
+    if (!decodes.length) {
+      handlers.delete(handler)
+    }
+    if (!handlers.size) {
+      decoders.delete(topic)
+    }
+    return decode
+  }
+
+  // the data encoded with the codec of the call, or of the topic
+  const encode = (topic, data, codec, callback) => {
+    let encoded
+    try {
+      encoded = codecs.pick(topic, codec).encode(data)
+    } catch (err) {
+      return setImmediate(() => callback(err))
+    }
+
+    callback(null, encoded)
+  }
+
+  // the peers we send the messages of the topic to, or all of them
+  const topicPeers = (topic) => Array.from(multicast.peers.values())
+    .filter((peer) => topic ? utils.anyTopicMatch(peer.topics, [topic]) : true)
+    .map((peer) => peer.info.id.toB58String())
+
   return {
     addFrwdHooks: (topic, hooks) => {
       hooks.forEach((h) => multicast.addFrwdHook(topic, h))
@@ -19,6 +96,36 @@ module.exports = (node) => {
       hooks.forEach((h) => multicast.removeFrwdHook(topic, h))
     },
 
+    addValidators: (topic, validators) => {
+      validators.forEach((v) => multicast.addValidator(topic, v))
+    },
+
+    removeValidators: (topic, validators) => {
+      validators.forEach((v) => multicast.removeValidator(topic, v))
+    },
+
+    addTopicDescriptor: (descriptor) => {
+      multicast.addTopicDescriptor(descriptor)
+    },
+
+    removeTopicDescriptor: (topic) => {
+      multicast.removeTopicDescriptor(topic)
+    },
+
+    addCertificate: (cert, callback) => {
+      return maybePromise(callback, (callback) => {
+        multicast.addCertificate(cert, callback)
+      })
+    },
+
+    addTopicKey: (topic, key) => {
+      multicast.addTopicKey(topic, key)
+    },
+
+    removeTopicKey: (topic, key) => {
+      multicast.removeTopicKey(topic, key)
+    },
+
     subscribe: (topic, options, handler, callback) => {
       if (typeof options === 'function') {
         callback = handler
@@ -26,83 +133,299 @@ module.exports = (node) => {
         options = {}
       }
 
-      if (!node.isStarted() && !multicast.started) {
-        return setImmediate(() => callback(new Error(NOT_STARTED_YET)))
-      }
+      return maybePromise(callback, (callback) => {
+        if (notStarted()) {
+          return setImmediate(() => callback(new Error(NOT_STARTED_YET)))
+        }
 
-      function subscribe (cb) {
+        if (options.codec) {
+          try {
+            codecs.get(options.codec)
+          } catch (err) {
+            return setImmediate(() => callback(err))
+          }
+        }
+
+        const subscribed = multicast.subscriptions.has(topic)
         if (multicast.listenerCount(topic) === 0) {
           multicast.subscribe(topic)
         }
 
         options.frwdHooks = options.frwdHooks || []
         if (options.frwdHooks.length) {
-          options.frwdHook.forEach((h) => multicast.addFrwdHook(topic, h))
+          options.frwdHooks.forEach((h) => multicast.addFrwdHook(topic, h))
+        }
+
+        options.validators = options.validators || []
+        options.validators.forEach((v) => multicast.addValidator(topic, v))
+
+        const decode = addDecoder(topic, options.codec, handler)
+        multicast.on(topic, decode)
+
+        // a new subscription emits them, otherwise only this handler needs them
+        if (subscribed) {
+          const retained = multicast.getRetained(topic)
+          setImmediate(() => retained.forEach((msg) => decode(msg)))
+        }
+
+        setImmediate(() => callback())
+      })
+    },
+
+    unsubscribe: (topic, handler, callback) => {
+      return maybePromise(callback, (callback) => {
+        if (notStarted()) {
+          return setImmediate(() => callback(new Error(NOT_STARTED_YET)))
         }
 
-        multicast.on(topic, handler)
-        setImmediate(cb)
+        multicast.removeListener(topic, removeDecoder(topic, handler))
+
+        if (multicast.listenerCount(topic) === 0) {
+          multicast.unsubscribe(topic)
+        }
+
+        setImmediate(() => callback())
+      })
+    },
+
+    // `options` is either the hops or `{ hops, ttl, priority, retain, flush, reliable, codec }`,
+    // reliable publishes resolve with the delivery results
+    publish: (topic, data, options = -1, callback) => {
+      if (typeof options === 'function') {
+        callback = options
+        options = -1
       }
 
-      subscribe(callback)
+      return maybePromise(callback, (callback) => {
+        if (notStarted()) {
+          return setImmediate(() => callback(new Error(NOT_STARTED_YET)))
+        }
+
+        encode(topic, data, options && options.codec, (err, data) => {
+          if (err) {
+            return callback(err)
+          }
+
+          multicast.publish(topic, data, options, callback)
+        })
+      })
     },
 
-    unsubscribe: (topic, handler) => {
-      if (!node.isStarted() && !multicast.started) {
-        throw new Error(NOT_STARTED_YET)
+    // `options` are the publish ones, plus `{ topic, seal, publicKey }`,
+    // the codec defaults to the one of the topic direct messages are sent on
+    sendTo: (peerId, data, options, callback) => {
+      if (typeof options === 'function') {
+        callback = options
+        options = {}
       }
+      options = options || {}
+
+      return maybePromise(callback, (callback) => {
+        if (notStarted()) {
+          return setImmediate(() => callback(new Error(NOT_STARTED_YET)))
+        }
+
+        encode(options.topic || Multicast.DIRECT_TOPIC, data, options.codec, (err, data) => {
+          if (err) {
+            return callback(err)
+          }
 
-      multicast.removeListener(topic, handler)
+          multicast.sendTo(peerId, data, options, callback)
+        })
+      })
+    },
 
-      if (multicast.listenerCount(topic) === 0) {
-        multicast.unsubscribe(topic)
+    // calls `handler(msg)` for the direct messages sent to us,
+    // returns a function to stop it
+    onDirect: (handler) => {
+      multicast.on('message:direct', handler)
+      return () => multicast.removeListener('message:direct', handler)
+    },
+
+    // the replies are decoded with the codec of the request, the ones
+    // failing to are emitted as `message:error` and left out
+    request: (topic, data, options, callback) => {
+      if (typeof options === 'function') {
+        callback = options
+        options = {}
       }
+      options = options || {}
+
+      return maybePromise(callback, (callback) => {
+        if (notStarted()) {
+          return setImmediate(() => callback(new Error(NOT_STARTED_YET)))
+        }
+
+        encode(topic, data, options.codec, (err, data) => {
+          if (err) {
+            return callback(err)
+          }
+
+          multicast.request(topic, data, options, (err, replies) => {
+            if (err) {
+              return callback(err)
+            }
+
+            const decoded = []
+            replies.forEach(decoder(topic, options.codec, (reply) => decoded.push(reply)))
+            callback(null, decoded)
+          })
+        })
+      })
     },
 
-    publish: (topic, data, hops = -1, callback) => {
-      if (!node.isStarted() && !multicast.started) {
-        return setImmediate(() => callback(new Error(NOT_STARTED_YET)))
+    // the requests are decoded, and the replies encoded,
+    // with the codec of `options.codec` or of the topic
+    respond: (topic, handler, options, callback) => {
+      if (typeof options === 'function') {
+        callback = options
+        options = {}
       }
+      options = options || {}
+
+      const responder = (msg, cb) => {
+        const codec = codecs.pick(msg.topicIDs, options.codec)
+        decoder(topic, options.codec, (msg) => {
+          utils.runHook(handler, [msg], (err, data) => {
+            if (err || data === null || data === undefined) {
+              return cb(err, data)
+            }
 
-      if (typeof hops === 'function') {
-        callback = hops
-        hops = -1
+            let encoded
+            try {
+              encoded = codec.encode(data)
+            } catch (err) {
+              return cb(err)
+            }
+
+            cb(null, encoded)
+          })
+        })(msg)
       }
 
-      if (!Buffer.isBuffer(data)) {
-        return setImmediate(() => callback(new Error('data must be a Buffer')))
+      return maybePromise(callback, (callback) => {
+        if (notStarted()) {
+          return setImmediate(() => callback(new Error(NOT_STARTED_YET)))
+        }
+
+        try {
+          multicast.respond(topic, responder)
+        } catch (err) {
+          return setImmediate(() => callback(err))
+        }
+
+        setImmediate(() => callback())
+      })
+    },
+
+    unrespond: (topic, callback) => {
+      return maybePromise(callback, (callback) => {
+        if (notStarted()) {
+          return setImmediate(() => callback(new Error(NOT_STARTED_YET)))
+        }
+
+        multicast.unrespond(topic)
+        setImmediate(() => callback())
+      })
+    },
+
+    clearRetained: (topic, callback) => {
+      if (typeof topic === 'function') {
+        callback = topic
+        topic = null
       }
 
-      multicast.publish(topic, data, hops)
+      return maybePromise(callback, (callback) => {
+        multicast.clearRetained(topic)
+        setImmediate(() => callback())
+      })
+    },
+
+    // `codec` has `encode (value)`, returning a Buffer, and `decode (data)`
+    registerCodec: (name, codec) => {
+      codecs.register(name, codec)
+    },
+
+    // `codec` is a codec or the name of one: `raw`, `string`, `json`, `cbor`
+    // or a registered one, it applies to the topics matching a pattern
+    setTopicCodec: (topic, codec) => {
+      codecs.setTopic(topic, codec)
+    },
 
-      setImmediate(() => callback())
+    removeTopicCodec: (topic) => {
+      codecs.removeTopic(topic)
+    },
+
+    // calls `handler(err, msg)` for the messages that could not be
+    // decoded, returns a function to stop it
+    onMessageError: (handler) => {
+      multicast.on('message:error', handler)
+      return () => multicast.removeListener('message:error', handler)
     },
 
     ls: (callback) => {
-      if (!node.isStarted() && !multicast.started) {
-        return setImmediate(() => callback(new Error(NOT_STARTED_YET)))
-      }
+      return maybePromise(callback, (callback) => {
+        if (notStarted()) {
+          return setImmediate(() => callback(new Error(NOT_STARTED_YET)))
+        }
 
-      const subscriptions = Array.from(multicast.subscriptions)
+        const subscriptions = Array.from(multicast.subscriptions)
 
-      setImmediate(() => callback(null, subscriptions))
+        setImmediate(() => callback(null, subscriptions))
+      })
     },
 
     peers: (topic, callback) => {
-      if (!node.isStarted() && !multicast.started) {
-        return setImmediate(() => callback(new Error(NOT_STARTED_YET)))
-      }
-
       if (typeof topic === 'function') {
         callback = topic
         topic = null
       }
 
-      const peers = Array.from(multicast.peers.values())
-        .filter((peer) => topic ? peer.topics.has(topic) : true)
-        .map((peer) => peer.info.id.toB58String())
+      return maybePromise(callback, (callback) => {
+        if (notStarted()) {
+          return setImmediate(() => callback(new Error(NOT_STARTED_YET)))
+        }
+
+        const peers = topicPeers(topic)
+        setImmediate(() => callback(null, peers))
+      })
+    },
+
+    // calls `handler(peers, { peer, subscribed })` whenever a peer
+    // joins or leaves the topic, returns a function to stop it
+    onTopicPeers: (topic, handler) => {
+      const onChange = (subscribed) => (id, peerTopic) => {
+        if (utils.topicMatch(peerTopic, topic)) {
+          handler(topicPeers(topic), { peer: id, subscribed: subscribed })
+        }
+      }
+      const onSubscribe = onChange(true)
+      const onUnsubscribe = onChange(false)
+
+      multicast.on('peer:subscribe', onSubscribe)
+      multicast.on('peer:unsubscribe', onUnsubscribe)
+
+      return () => {
+        multicast.removeListener('peer:subscribe', onSubscribe)
+        multicast.removeListener('peer:unsubscribe', onUnsubscribe)
+      }
+    },
+
+    // `options.format` is `json` (the default) or `prometheus`
+    stats: (options, callback) => {
+      if (typeof options === 'function') {
+        callback = options
+        options = {}
+      }
+      options = options || {}
+
+      return maybePromise(callback, (callback) => {
+        const stats = options.format === 'prometheus'
+          ? multicast.stats.toPrometheus(options.prefix)
+          : multicast.stats.toJSON()
 
-      setImmediate(() => callback(null, peers))
+        setImmediate(() => callback(null, stats))
+      })
     },
 
     setMaxListeners (n) {
@@ -0,0 +1,178 @@
+'use strict'
+
+const crypto = require('libp2p-crypto')
+const Buffer = require('safe-buffer').Buffer
+
+const pb = require('./message')
+
+const TopicDescriptor = pb.td.TopicDescriptor
+const Certificate = pb.td.Certificate
+const AuthMode = TopicDescriptor.AuthOpts.AuthMode
+
+const CertPrefix = Buffer.from('libp2p-multicast-cert:')
+
+exports = module.exports
+exports.AuthMode = AuthMode
+
+const toHex = (buf) => buf.toString('hex')
+
+/**
+ * Build the bytes the issuer signs for a certificate.
+ *
+ * @param {Object} cert
+ * @returns {Buffer}
+ * @private
+ */
+function certificatePayload (cert) {
+  return Buffer.concat([CertPrefix, Certificate.encode({
+    topic: cert.topic,
+    subject: cert.subject
+  })])
+}
+
+/**
+ * Decode a topic descriptor if it is given in its protobuf form.
+ *
+ * @param {Buffer|Object} descriptor
+ * @returns {Object}
+ */
+exports.decodeDescriptor = (descriptor) => {
+  if (Buffer.isBuffer(descriptor)) {
+    descriptor = TopicDescriptor.decode(descriptor)
+  }
+
+  if (!descriptor || !descriptor.name) {
+    throw new Error('topic descriptor must have a name')
+  }
+
+  return descriptor
+}
+
+/**
+ * Decode a certificate if it is given in its protobuf form.
+ *
+ * @param {Buffer|Object} cert
+ * @returns {Object}
+ */
+exports.decodeCertificate = (cert) => {
+  if (Buffer.isBuffer(cert)) {
+    cert = Certificate.decode(cert)
+  }
+
+  return cert
+}
+
+/**
+ * Issue a certificate allowing `subject` to publish on `topic`.
+ *
+ * @param {RsaPrivateKey} privKey - the issuer private key
+ * @param {string} topic
+ * @param {Buffer} subject - marshalled public key of the publisher
+ * @param {Function} callback
+ * @returns {undefined}
+ */
+exports.createCertificate = (privKey, topic, subject, callback) => {
+  const cert = {
+    topic: topic,
+    issuer: privKey.public.bytes,
+    subject: subject
+  }
+
+  privKey.sign(certificatePayload(cert), (err, signature) => {
+    if (err) {
+      return callback(err)
+    }
+
+    cert.signature = signature
+    callback(null, cert)
+  })
+}
+
+/**
+ * Check that the certificate was signed by its issuer.
+ *
+ * @param {Object} cert
+ * @param {Function} callback
+ * @returns {undefined}
+ */
+exports.verifyCertificate = (cert, callback) => {
+  if (!cert.topic || !cert.issuer || !cert.subject || !cert.signature) {
+    return callback(new Error('incomplete certificate'))
+  }
+
+  let issuer
+  try {
+    issuer = crypto.keys.unmarshalPublicKey(cert.issuer)
+  } catch (err) {
+    return callback(err)
+  }
+
+  issuer.verify(certificatePayload(cert), cert.signature, (err, valid) => {
+    if (err) {
+      return callback(err)
+    }
+
+    if (!valid) {
+      return callback(new Error('invalid certificate signature'))
+    }
+
+    callback()
+  })
+}
+
+/**
+ * Can the publisher with the given key publish on the descriptor topic?
+ *
+ * In KEY mode the key has to be one of the descriptor keys, in
+ * WOT mode it can also be reached from one of them through a chain
+ * of (already verified) certificates.
+ *
+ * @param {Object} descriptor
+ * @param {Buffer} key - marshalled public key of the publisher
+ * @param {Array<Object>} [certificates]
+ * @returns {boolean}
+ */
+exports.isAuthorized = (descriptor, key, certificates) => {
+  const auth = descriptor.auth
+  if (!auth || !auth.mode || auth.mode === AuthMode.NONE) {
+    return true
+  }
+
+  if (!key || !key.length) {
+    return false
+  }
+
+  const roots = new Set((auth.keys || []).map(toHex))
+  if (roots.has(toHex(key))) {
+    return true
+  }
+
+  if (auth.mode !== AuthMode.WOT) {
+    return false
+  }
+
+  certificates = certificates || []
+
+  // walk up the issuers, until we find a root key
+  const visited = new Set([toHex(key)])
+  const pending = [toHex(key)]
+  while (pending.length) {
+    const subject = pending.shift()
+    const issuers = certificates
+      .filter((cert) => toHex(cert.subject) === subject)
+      .map((cert) => toHex(cert.issuer))
+
+    if (issuers.some((issuer) => roots.has(issuer))) {
+      return true
+    }
+
+    issuers.forEach((issuer) => {
+      if (!visited.has(issuer)) {
+        visited.add(issuer)
+        pending.push(issuer)
+      }
+    })
+  }
+
+  return false
+}
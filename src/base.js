@@ -7,9 +7,18 @@ const asyncEach = require('async/each')
 const debug = require('debug')
 
 const Peer = require('./peer')
+const Score = require('./score')
+const maybePromise = require('./utils').maybePromise
 
 const setImmediate = require('async/setImmediate')
 
+/**
+ * Protocol of js-libp2p-floodsub, the one libp2p mounts as `node.pubsub`.
+ *
+ * @type {string}
+ */
+const FLOODSUB_CODEC = '/floodsub/1.0.0'
+
 /**
  * FloodSub (aka dumbsub is an implementation of pubsub focused on
  * delivering an API for Publish/Subscribe, but with no CastTree Forming
@@ -20,14 +29,43 @@ class BaseProtocol extends EventEmitter {
    * @param {String} debugName
    * @param {String} multicodec
    * @param {Object} libp2p
+   * @param {Object} [options]
+   * @param {Object} [options.scoring] - see `Score.defaults`
+   * @param {Object} [options.queue] - outbound queue limits, see `Peer`
+   * @param {Object} [options.batch] - outbound batching, see `Peer`
    * @returns {FloodSub}
    */
-  constructor (debugName, multicodec, libp2p) {
+  constructor (debugName, multicodec, libp2p, options) {
     super()
 
+    /**
+     * @type {Object}
+     */
+    this.options = options || {}
+
+    /**
+     * @type {Object}
+     */
+    this.scoring = Object.assign({}, Score.defaults, this.options.scoring)
+
     this.log = debug(debugName)
     this.log.err = debug(`${debugName}:error`)
     this.multicodec = multicodec
+
+    /**
+     * The protocols we speak, in order of preference.
+     *
+     * @type {Array<string>}
+     */
+    this.multicodecs = [multicodec]
+
+    /**
+     * The handlers we took over from the switch, put back on stop.
+     *
+     * @type {Map<string, Object>}
+     */
+    this._replacedHandlers = new Map()
+
     this.libp2p = libp2p
     this.started = false
 
@@ -38,6 +76,15 @@ class BaseProtocol extends EventEmitter {
      */
     this.peers = new Map()
 
+    /**
+     * Banned peers, with the time their ban expires.
+     *
+     * @type {Map<string, number>}
+     */
+    this.banned = new Map()
+
+    this._decayTimer = null
+
     this._onConnection = this._onConnection.bind(this)
     this._dialPeer = this._dialPeer.bind(this)
   }
@@ -59,12 +106,33 @@ class BaseProtocol extends EventEmitter {
       existing = peer
 
       peer.once('close', () => this._removePeer(peer))
+      this.emit('peer:added', id)
     }
     ++existing._references
 
     return existing
   }
 
+  _createPeer (peerInfo) {
+    const peer = new Peer(peerInfo, {
+      scoring: this.scoring,
+      queue: this.options.queue,
+      batch: this.options.batch
+    })
+
+    const id = peerInfo.id.toB58String()
+
+    peer.on('saturated', (depth) => {
+      this.log('outbound queue saturated', id, depth)
+      this.emit('peer:saturated', id, depth)
+    })
+
+    peer.on('subscribe', (topic) => this.emit('peer:subscribe', id, topic))
+    peer.on('unsubscribe', (topic) => this.emit('peer:unsubscribe', id, topic))
+
+    return peer
+  }
+
   _removePeer (peer) {
     const id = peer.info.id.toB58String()
 
@@ -73,38 +141,133 @@ class BaseProtocol extends EventEmitter {
     if (--peer._references === 0) {
       this.log('delete peer', id)
       this.peers.delete(id)
+
+      // it left all its topics as well
+      peer.topics.forEach((topic) => this.emit('peer:unsubscribe', id, topic))
+      this.emit('peer:removed', id)
     }
 
     return peer
   }
 
+  /**
+   * Ban a peer, refusing its connections and not dialing it.
+   *
+   * @param {string} idB58Str
+   * @param {number} [duration] - in ms, `scoring.banDuration` by default
+   * @returns {undefined}
+   */
+  ban (idB58Str, duration) {
+    duration = duration || this.scoring.banDuration
+    this.log('ban', idB58Str, duration)
+    this.banned.set(idB58Str, Date.now() + duration)
+    this.emit('peer:banned', idB58Str)
+  }
+
+  unban (idB58Str) {
+    this.banned.delete(idB58Str)
+  }
+
+  isBanned (idB58Str) {
+    const expires = this.banned.get(idB58Str)
+    if (expires === undefined) {
+      return false
+    }
+
+    if (expires < Date.now()) {
+      this.banned.delete(idB58Str)
+      return false
+    }
+
+    return true
+  }
+
+  /**
+   * Update the score of a peer, and disconnect it
+   * if it fell below the disconnect threshold.
+   *
+   * @param {string} idB58Str
+   * @param {string} counter - see `Score`
+   * @param {number} [n=1]
+   * @returns {undefined}
+   */
+  _scorePeer (idB58Str, counter, n) {
+    const peer = this.peers.get(idB58Str)
+    if (!peer) {
+      return
+    }
+
+    peer.score.inc(counter, n)
+
+    if (peer.score.value < this.scoring.disconnectThreshold && !this.isBanned(idB58Str)) {
+      this.log('disconnecting misbehaving peer', idB58Str, peer.score.value)
+      this.ban(idB58Str)
+      peer.close(() => {})
+    }
+  }
+
+  /**
+   * Should the RPCs from the peer be ignored?
+   *
+   * @param {string} idB58Str
+   * @returns {boolean}
+   */
+  _isIgnored (idB58Str) {
+    if (this.isBanned(idB58Str)) {
+      return true
+    }
+
+    const peer = this.peers.get(idB58Str)
+    return Boolean(peer) && peer.score.value < this.scoring.ignoreThreshold
+  }
+
+  _decayScores () {
+    this.peers.forEach((peer) => peer.score.decay())
+  }
+
   _dialPeer (peerInfo, callback) {
     callback = callback || function noop () {}
     const idB58Str = peerInfo.id.toB58String()
 
+    if (this.isBanned(idB58Str)) {
+      this.log('not dialing banned peer %s', idB58Str)
+      return setImmediate(() => callback())
+    }
+
     // If already have a PubSub conn, ignore
     const peer = this.peers.get(idB58Str)
     if (peer && peer.isConnected) {
       return setImmediate(() => callback())
     }
 
-    this.log('dialing %s', idB58Str)
-    this.libp2p.dialProtocol(peerInfo, this.multicodec, (err, conn) => {
-      if (err) {
-        this.log.err(err)
-        return callback()
-      }
+    // try our protocols in turn, until the peer speaks one
+    const dial = (protocols) => {
+      const protocol = protocols[0]
+      this.log('dialing %s on %s', idB58Str, protocol)
+      this.libp2p.dialProtocol(peerInfo, protocol, (err, conn) => {
+        if (err) {
+          if (protocols.length > 1) {
+            return dial(protocols.slice(1))
+          }
+
+          this.log.err(err)
+          return callback()
+        }
+
+        this._onDial(peerInfo, conn, protocol, callback)
+      })
+    }
 
-      this._onDial(peerInfo, conn, callback)
-    })
+    dial(this.multicodecs)
   }
 
-  _onDial (peerInfo, conn, callback) {
+  _onDial (peerInfo, conn, protocol, callback) {
     const idB58Str = peerInfo.id.toB58String()
-    this.log('connected', idB58Str)
+    this.log('connected', idB58Str, protocol)
 
-    const peer = this._addPeer(new Peer(peerInfo))
-    this._processOutgoingConnection(idB58Str, conn, peer)
+    const peer = this._addPeer(this._createPeer(peerInfo))
+    peer.protocol = protocol
+    this._processOutgoingConnection(idB58Str, conn, peer, protocol)
 
     setImmediate(() => callback())
   }
@@ -117,17 +280,22 @@ class BaseProtocol extends EventEmitter {
       }
 
       const idB58Str = peerInfo.id.toB58String()
-      const peer = this._addPeer(new Peer(peerInfo))
+      if (this.isBanned(idB58Str)) {
+        this.log('refusing conn from banned peer', idB58Str)
+        return pull(pull.empty(), conn)
+      }
+
+      const peer = this._addPeer(this._createPeer(peerInfo))
 
-      this._processIncommingConnection(idB58Str, conn, peer)
+      this._processIncommingConnection(idB58Str, conn, peer, protocol)
     })
   }
 
-  _processIncommingConnection (idB58Str, conn, peer) {
+  _processIncommingConnection (idB58Str, conn, peer, protocol) {
     throw new Error('_processIncommingConnection must be implemented by the subclass')
   }
 
-  _processOutgoingConnection (idB58Str, conn, peer) {
+  _processOutgoingConnection (idB58Str, conn, peer, protocol) {
     throw new Error('_processOutgoingConnection must be implemented by the subclass')
   }
 
@@ -145,27 +313,44 @@ class BaseProtocol extends EventEmitter {
    * Mounts the floodsub protocol onto the libp2p node and sends our
    * subscriptions to every peer connected
    *
-   * @param {Function} callback
-   * @returns {undefined}
+   * @param {Function} [callback]
+   * @returns {Promise|undefined} if no callback is given
    *
    */
   start (callback) {
-    if (this.started) {
-      return setImmediate(() => callback(new Error('already started')))
-    }
+    return maybePromise(callback, (callback) => {
+      if (this.started) {
+        return setImmediate(() => callback(new Error('already started')))
+      }
 
-    this.libp2p.handle(this.multicodec, this._onConnection)
+      // the switch does not always pass along the protocol name
+      this.multicodecs.forEach((multicodec) => {
+        // libp2p mounts its own floodsub, we answer in its place until stopped
+        const protocols = multicodec === FLOODSUB_CODEC &&
+          this.libp2p.switch && this.libp2p.switch.protocols
+        const previous = protocols && protocols[multicodec]
+        if (previous) {
+          this.log.err('taking over the handler of', multicodec,
+            'node.pubsub gets no connections until we stop')
+          this._replacedHandlers.set(multicodec, previous)
+        }
+
+        this.libp2p.handle(multicodec, (protocol, conn) => this._onConnection(multicodec, conn))
+      })
+
+      // Speed up any new peer that comes in my way
+      this.libp2p.on('peer:connect', this._dialPeer)
 
-    // Speed up any new peer that comes in my way
-    this.libp2p.on('peer:connect', this._dialPeer)
+      // Dial already connected peers
+      const peerInfos = values(this.libp2p.peerBook.getAll())
 
-    // Dial already connected peers
-    const peerInfos = values(this.libp2p.peerBook.getAll())
+      this._decayTimer = setInterval(() => this._decayScores(), this.scoring.decayInterval)
 
-    asyncEach(peerInfos, (peer, cb) => this._dialPeer(peer, cb), (err) => {
-      setImmediate(() => {
-        this.started = true
-        callback(err)
+      asyncEach(peerInfos, (peer, cb) => this._dialPeer(peer, cb), (err) => {
+        setImmediate(() => {
+          this.started = true
+          callback(err)
+        })
       })
     })
   }
@@ -173,30 +358,45 @@ class BaseProtocol extends EventEmitter {
   /**
    * Unmounts the floodsub protocol and shuts down every connection
    *
-   * @param {Function} callback
-   * @returns {undefined}
+   * @param {Function} [callback]
+   * @returns {Promise|undefined} if no callback is given
    *
    */
   stop (callback) {
-    if (!this.started) {
-      return setImmediate(() => callback(new Error('not started yet')))
-    }
-
-    this.libp2p.unhandle(this.multicodec)
-    this.libp2p.removeListener('peer:connect', this._dialPeer)
-
-    this.log('stopping')
-    asyncEach(this.peers.values(), (peer, cb) => peer.close(cb), (err) => {
-      if (err) {
-        return callback(err)
+    return maybePromise(callback, (callback) => {
+      if (!this.started) {
+        return setImmediate(() => callback(new Error('not started yet')))
       }
 
-      this.log('stopped')
-      this.peers = new Map()
-      this.started = false
-      callback()
+      this.multicodecs.forEach((multicodec) => {
+        this.libp2p.unhandle(multicodec)
+
+        const previous = this._replacedHandlers.get(multicodec)
+        if (previous) {
+          this.libp2p.handle(multicodec, previous.handlerFunc, previous.matchFunc)
+        }
+      })
+      this._replacedHandlers.clear()
+      this.libp2p.removeListener('peer:connect', this._dialPeer)
+
+      clearInterval(this._decayTimer)
+      this._decayTimer = null
+
+      this.log('stopping')
+      asyncEach(this.peers.values(), (peer, cb) => peer.close(cb), (err) => {
+        if (err) {
+          return callback(err)
+        }
+
+        this.log('stopped')
+        this.peers = new Map()
+        this.started = false
+        callback()
+      })
     })
   }
 }
 
+BaseProtocol.FLOODSUB_CODEC = FLOODSUB_CODEC
+
 module.exports = BaseProtocol
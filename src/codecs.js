@@ -0,0 +1,157 @@
+'use strict'
+
+const cbor = require('borc')
+const Buffer = require('safe-buffer').Buffer
+
+const utils = require('./utils')
+
+/**
+ * The built-in payload codecs.
+ *
+ * A codec is an object with `encode (value)`, returning a Buffer,
+ * and `decode (data)`, returning the value. Both may throw.
+ *
+ * @type {Object}
+ */
+const builtins = {
+  raw: {
+    encode: (value) => {
+      if (!Buffer.isBuffer(value)) {
+        throw new Error('data must be a Buffer')
+      }
+      return value
+    },
+    decode: (data) => data
+  },
+  string: {
+    encode: (value) => Buffer.from(String(value), 'utf8'),
+    decode: (data) => data.toString('utf8')
+  },
+  json: {
+    encode: (value) => Buffer.from(JSON.stringify(value), 'utf8'),
+    decode: (data) => JSON.parse(data.toString('utf8'))
+  },
+  cbor: {
+    encode: (value) => cbor.encode(value),
+    decode: (data) => cbor.decode(data)
+  }
+}
+
+const isCodec = (codec) => Boolean(codec) &&
+  typeof codec.encode === 'function' &&
+  typeof codec.decode === 'function'
+
+/**
+ * The payload codecs, by name and by topic.
+ *
+ * Topics use the `raw` codec, plain Buffers, unless
+ * another one is set for them or one of their patterns.
+ */
+class Codecs {
+  constructor () {
+    /**
+     * @type {Map<string, Object>}
+     */
+    this.codecs = new Map()
+    Object.keys(builtins).forEach((name) => this.codecs.set(name, builtins[name]))
+
+    /**
+     * The codec of each topic or pattern.
+     *
+     * @type {Map<string, Object>}
+     */
+    this.topics = new Map()
+  }
+
+  /**
+   * Register a codec under a name.
+   *
+   * @param {string} name
+   * @param {Object} codec
+   * @returns {undefined}
+   */
+  register (name, codec) {
+    if (!isCodec(codec)) {
+      throw new Error('a codec needs an encode and a decode function')
+    }
+
+    this.codecs.set(name, codec)
+  }
+
+  /**
+   * Look a codec up.
+   *
+   * @param {string|Object} codec - its name, or the codec itself
+   * @returns {Object}
+   */
+  get (codec) {
+    if (isCodec(codec)) {
+      return codec
+    }
+
+    if (!this.codecs.has(codec)) {
+      throw new Error('unknown codec ' + codec)
+    }
+
+    return this.codecs.get(codec)
+  }
+
+  /**
+   * Set the codec of a topic, or of the topics matching a pattern.
+   *
+   * @param {string} topic
+   * @param {string|Object} codec
+   * @returns {undefined}
+   */
+  setTopic (topic, codec) {
+    this.topics.set(topic, this.get(codec))
+  }
+
+  /**
+   * @param {string} topic
+   * @returns {undefined}
+   */
+  removeTopic (topic) {
+    this.topics.delete(topic)
+  }
+
+  /**
+   * The codec of a topic: its own, the one of the first
+   * pattern matching it or the `raw` one.
+   *
+   * @param {string} topic
+   * @returns {Object}
+   */
+  forTopic (topic) {
+    if (this.topics.has(topic)) {
+      return this.topics.get(topic)
+    }
+
+    for (let entry of this.topics) {
+      if (utils.topicMatch(entry[0], topic)) {
+        return entry[1]
+      }
+    }
+
+    return builtins.raw
+  }
+
+  /**
+   * Pick the codec for a call: the given one, or the one of the topic.
+   *
+   * @param {string|Array<string>} topic - the first one is used for many
+   * @param {string|Object} [codec]
+   * @returns {Object}
+   */
+  pick (topic, codec) {
+    if (codec) {
+      return this.get(codec)
+    }
+
+    return this.forTopic(utils.ensureArray(topic)[0])
+  }
+}
+
+Codecs.builtins = builtins
+
+module.exports = Codecs
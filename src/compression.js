@@ -0,0 +1,124 @@
+'use strict'
+
+const zlib = require('zlib')
+const Buffer = require('safe-buffer').Buffer
+
+/**
+ * Suffix of the compressed variant of a protocol.
+ *
+ * @type {string}
+ */
+const SUFFIX = '+deflate'
+
+/**
+ * Default compression options.
+ *
+ * @type {Object}
+ */
+const defaults = {
+  threshold: 1024, // in bytes, smaller frames are sent as is
+  level: zlib.constants ? zlib.constants.Z_DEFAULT_COMPRESSION : -1,
+  maxSize: 4 * 1024 * 1024 // in bytes, bigger inflated frames are rejected
+}
+
+const PLAIN = 0
+const DEFLATED = 1
+
+/**
+ * Inflate data, giving up as soon as it gets bigger than `maxSize`
+ * so that a small frame can't make us allocate much more.
+ *
+ * @param {Buffer} data
+ * @param {number} maxSize
+ * @param {Function} callback
+ * @returns {undefined}
+ * @private
+ */
+function inflate (data, maxSize, callback) {
+  const inflater = zlib.createInflateRaw()
+  const chunks = []
+  let size = 0
+  let done = false
+
+  const finish = (err, inflated) => {
+    if (done) {
+      return
+    }
+    done = true
+    callback(err, inflated)
+  }
+
+  inflater.on('data', (chunk) => {
+    size += chunk.length
+    if (size > maxSize) {
+      inflater.close()
+      return finish(new Error('inflated frame is too big'))
+    }
+    chunks.push(chunk)
+  })
+  inflater.on('error', finish)
+  inflater.on('end', () => finish(null, Buffer.concat(chunks, size)))
+  inflater.end(data)
+}
+
+/**
+ * Wrap an rpc codec to deflate the frames above the threshold.
+ *
+ * Every frame starts with a flag byte, telling
+ * whether the rest of it is deflated.
+ *
+ * Decoding is asynchronous, frames being inflated a chunk at a time.
+ *
+ * @param {ProtonCodec} codec
+ * @param {Object} [options] - see `compressed.defaults`
+ * @returns {Object} a codec with `encode` and `decode(frame, callback)`
+ */
+function compressed (codec, options) {
+  options = Object.assign({}, defaults, options)
+
+  return {
+    async: true,
+
+    encode (rpc) {
+      const data = codec.encode(rpc)
+      if (data.length < options.threshold) {
+        return Buffer.concat([Buffer.from([PLAIN]), data])
+      }
+
+      const deflated = zlib.deflateRawSync(data, { level: options.level })
+      return Buffer.concat([Buffer.from([DEFLATED]), deflated])
+    },
+
+    decode (frame, callback) {
+      const decode = (data) => {
+        let rpc
+        try {
+          rpc = codec.decode(data)
+        } catch (err) {
+          return callback(err)
+        }
+        callback(null, rpc)
+      }
+
+      const data = frame.slice(1)
+      switch (frame[0]) {
+        case PLAIN:
+          return decode(data)
+        case DEFLATED:
+          return inflate(data, options.maxSize, (err, inflated) => {
+            if (err) {
+              return callback(err)
+            }
+            decode(inflated)
+          })
+        default:
+          callback(new Error('unknown frame flag ' + frame[0]))
+      }
+    }
+  }
+}
+
+compressed.SUFFIX = SUFFIX
+compressed.defaults = defaults
+
+module.exports = compressed
@@ -0,0 +1,208 @@
+'use strict'
+
+const EventEmitter = require('events')
+const Buffer = require('safe-buffer').Buffer
+
+/**
+ * Default fragmentation options.
+ *
+ * @type {Object}
+ */
+const defaults = {
+  size: 64 * 1024, // in bytes, bigger data is split, 0 to never split
+  timeout: 30 * 1000, // in ms, to receive every fragment of a message
+  maxBytes: 32 * 1024 * 1024, // fragments buffered at once, in bytes
+  maxFragments: 1024 // per message
+}
+
+/**
+ * Split data in fragments of `size` bytes, the last one
+ * being smaller. Data no bigger than `size` is not split.
+ *
+ * @param {Buffer} data
+ * @param {number} size
+ * @returns {Array<Buffer>}
+ */
+function split (data, size) {
+  if (!size || !data || data.length <= size) {
+    return [data]
+  }
+
+  const fragments = []
+  for (let offset = 0; offset < data.length; offset += size) {
+    fragments.push(data.slice(offset, offset + size))
+  }
+
+  return fragments
+}
+
+/**
+ * Is the message a fragment of a bigger one?
+ *
+ * @param {Object} msg
+ * @returns {boolean}
+ */
+function isFragment (msg) {
+  return msg.fragmentCount > 0
+}
+
+/**
+ * Reassembles the fragmented messages.
+ *
+ * Messages missing fragments after `timeout` are dropped, and so are
+ * the oldest ones when the buffered fragments take over `maxBytes`.
+ * Dropped messages are reported with a `drop` event, `{ id, topics,
+ * received, count, reason }`, the reason being `timeout`, `memory`
+ * or `invalid`.
+ */
+class Reassembler extends EventEmitter {
+  /**
+   * @param {Object} [options] - see `Reassembler.defaults`
+   */
+  constructor (options) {
+    super()
+
+    this.options = Object.assign({}, defaults, options)
+
+    /**
+     * The messages being reassembled, oldest first.
+     *
+     * @type {Map<string, Object>}
+     */
+    this.pending = new Map()
+
+    /**
+     * Bytes buffered in all of them.
+     *
+     * @type {number}
+     */
+    this.size = 0
+  }
+
+  _drop (id, reason, entry) {
+    if (entry) {
+      clearTimeout(entry.timer)
+      this.pending.delete(id)
+      this.size -= entry.size
+    }
+
+    this.emit('drop', {
+      id: id,
+      topics: entry ? entry.topics : [],
+      received: entry ? entry.received : 0,
+      count: entry ? entry.fragments.length : 0,
+      reason: reason
+    })
+  }
+
+  /**
+   * Add a fragment.
+   *
+   * @param {Object} msg - a fragment, decrypted
+   * @returns {Object|null} the whole message, once every fragment is in
+   */
+  add (msg) {
+    const id = msg.from + ':' + msg.fragmentId.toString('hex')
+    const data = msg.data || Buffer.alloc(0)
+    const count = msg.fragmentCount
+    let entry = this.pending.get(id)
+
+    if (count < 2 || count > this.options.maxFragments || msg.fragmentIndex >= count ||
+        (entry && entry.fragments.length !== count)) {
+      this._drop(id, 'invalid', entry)
+      return null
+    }
+
+    if (data.length > this.options.maxBytes) {
+      this._drop(id, 'memory', entry)
+      return null
+    }
+
+    if (!entry) {
+      entry = {
+        first: msg,
+        topics: msg.topicIDs,
+        fragments: new Array(count),
+        received: 0,
+        size: 0,
+        timer: setTimeout(() => this._drop(id, 'timeout', this.pending.get(id)), this.options.timeout)
+      }
+      this.pending.set(id, entry)
+    }
+
+    if (entry.fragments[msg.fragmentIndex]) {
+      return null
+    }
+
+    // make room, dropping the oldest messages first
+    while (this.size + data.length > this.options.maxBytes) {
+      const oldest = this.pending.keys().next().value
+      this._drop(oldest, 'memory', this.pending.get(oldest))
+    }
+
+    if (!this.pending.has(id)) {
+      // it was the oldest one
+      return null
+    }
+
+    if (msg.fragmentIndex === 0) {
+      entry.first = msg
+    }
+
+    entry.fragments[msg.fragmentIndex] = data
+    entry.received++
+    entry.size += data.length
+    this.size += data.length
+
+    if (entry.received < count) {
+      return null
+    }
+
+    clearTimeout(entry.timer)
+    this.pending.delete(id)
+    this.size -= entry.size
+
+    return Reassembler.whole(entry.first, Buffer.concat(entry.fragments))
+  }
+
+  /**
+   * Drop every message being reassembled, without reporting it.
+   *
+   * @returns {undefined}
+   */
+  clear () {
+    this.pending.forEach((entry) => clearTimeout(entry.timer))
+    this.pending.clear()
+    this.size = 0
+  }
+}
+
+/**
+ * The message a fragment is part of, given its data.
+ *
+ * It has the id of the fragmented message as seqno, and no
+ * signature as the ones of the fragments only cover them.
+ *
+ * @param {Object} fragment
+ * @param {Buffer} data
+ * @returns {Object}
+ */
+Reassembler.whole = (fragment, data) => {
+  const msg = Object.assign({}, fragment, {
+    data: data,
+    seqno: fragment.fragmentId
+  })
+
+  delete msg.fragmentId
+  delete msg.fragmentIndex
+  delete msg.fragmentCount
+  delete msg.signature
+  return msg
+}
+
+Reassembler.defaults = defaults
+
+exports = module.exports
+exports.split = split
+exports.isFragment = isFragment
+exports.Reassembler = Reassembler
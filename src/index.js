@@ -1,18 +1,94 @@
 'use strict'
 
-const TimeCache = require('time-cache')
 const assert = require('assert')
 
 const RpcBaseProtocol = require('./rpcBase')
 const utils = require('./utils')
 const pb = require('./message')
+const sign = require('./message/sign')
+const auth = require('./auth')
+const encrypt = require('./message/encrypt')
+const Mesh = require('./mesh')
+const SeenCache = require('./seen-cache')
+const RetainedStore = require('./retained')
+const fragments = require('./fragments')
+const Reliable = require('./reliable')
+const ReorderBuffer = require('./ordering')
 const Buffer = require('safe-buffer').Buffer
+const bs58 = require('bs58')
 
 const ensureArray = utils.ensureArray
 const setImmediate = require('async/setImmediate')
 const filter = require('async/filter')
 const every = require('async/every')
 const concat = require('async/concat')
+const map = require('async/map')
+const eachSeries = require('async/eachSeries')
+
+const noop = () => {}
+
+/**
+ * Topic direct messages are routed on by default.
+ *
+ * @type {string}
+ */
+const DIRECT_TOPIC = 'multicast:direct'
+
+/**
+ * Protocol of js-libp2p-floodsub, spoken with the `floodsub` option.
+ *
+ * @type {string}
+ */
+const FLOODSUB_CODEC = RpcBaseProtocol.FLOODSUB_CODEC
+
+/**
+ * Can a message be bridged to floodsub peers?
+ *
+ * Their rpc has none of the fields the encrypted, sealed, direct
+ * messages, replies and fragments depend on, so only the plain ones can.
+ *
+ * @param {Object} msg
+ * @returns {boolean}
+ * @private
+ */
+function isBridgeable (msg) {
+  return ['keyHash', 'sealedKey', 'to', 'inReplyTo', 'fragmentId'].every((field) => {
+    return !msg[field] || !msg[field].length
+  })
+}
+
+/**
+ * Pick the message id function for the `msgId` option.
+ *
+ * @param {string|function} [msgId]
+ * @returns {function}
+ * @private
+ */
+function msgIdFunction (msgId) {
+  if (typeof msgId === 'function') {
+    return msgId
+  }
+
+  switch (msgId || 'sender') {
+    case 'sender':
+      return (msg) => utils.msgId(msg.from, msg.seqno.toString())
+    case 'content':
+      return utils.contentId
+    default:
+      throw new Error('unknown message id mode ' + msgId)
+  }
+}
+
+/**
+ * Possible outcomes of an inbound validator.
+ *
+ * @type {Object}
+ */
+const ValidationResult = {
+  ACCEPT: 'accept', // emit and forward
+  REJECT: 'reject', // drop
+  IGNORE: 'ignore' // emit locally, but don't forward
+}
 
 /**
  * Multicast is a p2p messaging experiment.
@@ -20,18 +96,67 @@ const concat = require('async/concat')
 class Multicast extends RpcBaseProtocol {
   /**
    * @param {Object} libp2p
+   * @param {Object} [options]
+   * @param {boolean} [options.signMessages=true] - sign published messages
+   * @param {boolean} [options.strictSigning=true] - drop unsigned messages
+   * @param {string} [options.router='flood'] - `flood` or `mesh`
+   * @param {Object} [options.seenCache] - see `SeenCache.defaults`
+   * @param {string|function} [options.msgId='sender'] - how messages are identified for
+   * deduplication and gossip: `sender` (from and seqno), `content` (hash of the topics and
+   * data) or a `function (msg)` returning a string
+   * @param {Object} [options.mesh] - mesh router options, see `Mesh`
+   * @param {number} [options.retainLimit=100] - max messages retained per topic
+   * @param {boolean} [options.directMessages=false] - subscribe to the topic direct
+   * messages are routed on, to receive and relay them
+   * @param {boolean} [options.floodsub=false] - also speak `/floodsub/1.0.0`, bridging
+   * messages with floodsub peers. Their messages are unsigned, so they are only accepted
+   * with `strictSigning` off. The floodsub libp2p mounts itself stops getting connections
+   * while we are started, its handler is put back when we stop
+   * @param {Object} [options.fragments] - split the data bigger than `size` and reassemble
+   * it, see `Reassembler.defaults`
+   * @param {Object} [options.reliable] - acknowledgements and retransmissions of the
+   * reliable messages, see `Reliable.defaults`
+   * @param {Object} [options.ordering] - the reorder buffer of the ordered messages,
+   * see `ReorderBuffer.defaults`
+   * @param {boolean|Object} [options.compression] - deflate the frames to the peers
+   * speaking `/multicast/0.0.1+deflate`, see `compressed.defaults`
+   * @param {Object} [options.scoring] - peer scoring options, see `Score`
    * @returns {Multicast}
    */
-  constructor (libp2p) {
+  constructor (libp2p, options) {
     const protonCodec = pb.rpc.RPC
-    super('libp2p:multicast', '/multicast/0.0.1', protonCodec, libp2p)
+    options = Object.assign({
+      signMessages: true,
+      strictSigning: true,
+      router: 'flood'
+    }, options)
+    super('libp2p:multicast', '/multicast/0.0.1', protonCodec, libp2p, options)
+
+    if (this.options.floodsub) {
+      this.addProtocol(FLOODSUB_CODEC, pb.floodsub.RPC)
+    }
 
     /**
-     * Time based cache for sequence numbers.
+     * Mesh router, flooding is used when not set.
      *
-     * @type {TimeCache}
+     * @type {Mesh}
      */
-    this.cache = new TimeCache()
+    this.router = this.options.router === 'mesh'
+      ? new Mesh(this, this.options.mesh)
+      : null
+
+    /**
+     * @type {function}
+     */
+    this._msgId = msgIdFunction(this.options.msgId)
+
+    /**
+     * Ids of the messages we have already seen.
+     *
+     * @type {SeenCache}
+     */
+    this.cache = new SeenCache(this.options.seenCache)
+    this.stats.seenCache = this.cache
 
     /**
      * List of our subscriptions
@@ -48,7 +173,9 @@ class Multicast extends RpcBaseProtocol {
      * the message. If any of the validators fail, the message
      * is not forwarded to the peer.
      *
-     * The validator function has the following signature:
+     * The validator function has the following signature,
+     * it can also leave out the callback and return a boolean
+     * or a promise for one:
      *
      * @example
      * ```
@@ -59,6 +186,103 @@ class Multicast extends RpcBaseProtocol {
      * @type {Map<string, Set<function>>}
      */
     this.fwrdHooks = new Map()
+
+    /**
+     * A map of validation functions to run on received
+     * messages, before they are emitted or forwarded.
+     *
+     * The validators are ran once per message for each of its
+     * topics, with the peer the message was received from.
+     * They call back with (or return, possibly as a promise) one
+     * of the `ValidationResult` values, an error counts as a rejection.
+     *
+     * @example
+     * ```
+     * function (peer: Peer, msg: Message, callback) {
+     *   callback(null, 'accept')
+     * }
+     * ```
+     *
+     * @type {Map<string, Set<function>>}
+     */
+    this.validators = new Map()
+
+    /**
+     * Topic descriptors by topic name, controlling
+     * who is allowed to publish on a topic.
+     *
+     * @type {Map<string, Object>}
+     */
+    this.topicDescriptors = new Map()
+
+    /**
+     * Verified WOT certificates by topic name.
+     *
+     * @type {Map<string, Array<Object>>}
+     */
+    this.certificates = new Map()
+
+    /**
+     * Shared keys by topic name, indexed by
+     * the hex of their salted hash.
+     *
+     * @type {Map<string, Map<string, Buffer>>}
+     */
+    this.topicKeys = new Map()
+
+    /**
+     * Our pending requests, by the hex of their replyTo.
+     *
+     * @type {Map<string, Object>}
+     */
+    this.requests = new Map()
+
+    /**
+     * The listeners of our responders, by topic.
+     *
+     * @type {Map<string, function>}
+     */
+    this.responders = new Map()
+
+    /**
+     * @type {RetainedStore}
+     */
+    this.retained = new RetainedStore(this.options.retainLimit)
+
+    /**
+     * @type {Reassembler}
+     */
+    this.reassembler = new fragments.Reassembler(this.options.fragments)
+    this.reassembler.on('drop', (info) => {
+      this.log('dropping fragmented message', info.id, info.reason)
+      this.emit('fragments:dropped', info)
+    })
+
+    /**
+     * @type {Reliable}
+     */
+    this.reliable = new Reliable(this, this.options.reliable)
+
+    /**
+     * @type {ReorderBuffer}
+     */
+    this.ordering = new ReorderBuffer(this.options.ordering)
+    this.ordering.on('message', (msg) => this._emitMessages(msg.topicIDs, [msg]))
+    this.ordering.on('gap', (gap) => {
+      this.log('missing messages', gap.from, gap.topic, gap.first, gap.last)
+      this.emit('message:gap', gap)
+    })
+    this.ordering.on('late', (msg) => {
+      this.log('dropping late message', msg.from, msg.sequence)
+      this.emit('message:late', msg)
+    })
+
+    /**
+     * The last sequence of the ordered messages we published, by topic.
+     *
+     * @type {Map<string, number>}
+     */
+    this.sequences = new Map()
   }
 
   addFrwdHook (topic, hook) {
@@ -77,8 +301,88 @@ class Multicast extends RpcBaseProtocol {
     }
   }
 
-  _onDial (peerInfo, conn, callback) {
-    super._onDial(peerInfo, conn, (err) => {
+  addValidator (topic, validator) {
+    if (!this.validators.has(topic)) {
+      this.validators.set(topic, new Set())
+    }
+
+    this.validators.get(topic).add(validator)
+  }
+
+  removeValidator (topic, validator) {
+    if (this.validators.has(topic)) {
+      this.validators.get(topic).delete(validator)
+    }
+  }
+
+  /**
+   * Register the descriptor of a topic, replacing any
+   * previous one with the same name.
+   *
+   * @param {Object|Buffer} descriptor - a `TopicDescriptor`
+   * @returns {undefined}
+   */
+  addTopicDescriptor (descriptor) {
+    descriptor = auth.decodeDescriptor(descriptor)
+    this.topicDescriptors.set(descriptor.name, descriptor)
+  }
+
+  removeTopicDescriptor (topic) {
+    this.topicDescriptors.delete(topic)
+  }
+
+  /**
+   * Add a certificate to the web of trust of its topic.
+   *
+   * @param {Object|Buffer} cert - a `Certificate`
+   * @param {Function} callback
+   * @returns {undefined}
+   */
+  addCertificate (cert, callback) {
+    cert = auth.decodeCertificate(cert)
+    auth.verifyCertificate(cert, (err) => {
+      if (err) {
+        return callback(err)
+      }
+
+      if (!this.certificates.has(cert.topic)) {
+        this.certificates.set(cert.topic, [])
+      }
+
+      this.certificates.get(cert.topic).push(cert)
+      callback()
+    })
+  }
+
+  /**
+   * Add a shared key for a `SHAREDKEY` encrypted topic.
+   *
+   * Publishing uses the first of the descriptor `keyHashes`
+   * we have the key for, so rotating means adding the new key
+   * and listing its hash first.
+   *
+   * @param {string} topic
+   * @param {Buffer} key - 16 or 32 bytes AES key
+   * @returns {undefined}
+   */
+  addTopicKey (topic, key) {
+    if (!this.topicKeys.has(topic)) {
+      this.topicKeys.set(topic, new Map())
+    }
+
+    const hash = encrypt.keyHash(topic, key).toString('hex')
+    this.topicKeys.get(topic).set(hash, key)
+  }
+
+  removeTopicKey (topic, key) {
+    if (this.topicKeys.has(topic)) {
+      const hash = encrypt.keyHash(topic, key).toString('hex')
+      this.topicKeys.get(topic).delete(hash)
+    }
+  }
+
+  _onDial (peerInfo, conn, protocol, callback) {
+    super._onDial(peerInfo, conn, protocol, (err) => {
       if (err) return callback(err)
       const idB58Str = peerInfo.id.toB58String()
       const peer = this.peers.get(idB58Str)
@@ -88,176 +392,1083 @@ class Multicast extends RpcBaseProtocol {
     })
   }
 
-  _onRpc (idB58Str, rpc) {
+  _onRpc (idB58Str, rpc, protocol) {
     if (!rpc) {
       return
     }
 
-    this.log('rpc from', idB58Str)
+    if (this.isBanned(idB58Str)) {
+      this.log('dropping rpc from banned peer', idB58Str)
+      return
+    }
+
+    // the messages of ignored peers are still checked, for their score to go on
+    const ignored = this._isIgnored(idB58Str)
+    this.log(ignored ? 'ignoring rpc from' : 'rpc from', idB58Str)
     const subs = rpc.subscriptions
     const msgs = rpc.msgs
+    const control = rpc.control
 
     if (msgs && msgs.length) {
-      this._processRpcMessages(utils.normalizeInRpcMessages(rpc.msgs))
+      const normalized = utils.normalizeInRpcMessages(rpc.msgs)
+      if (protocol === FLOODSUB_CODEC) {
+        // no hops on floodsub links, they start counting once bridged
+        normalized.forEach((msg) => {
+          msg.hops = -1
+        })
+      }
+
+      if (!ignored) {
+        this._ackMessages(idB58Str, normalized)
+      }
+      this._processRpcMessages(idB58Str, normalized, ignored)
+    }
+
+    if (ignored) {
+      return
     }
 
     if (subs && subs.length) {
       const peer = this.peers.get(idB58Str)
       if (peer) {
         peer.updateSubscriptions(subs)
+        this._sendRetained(peer, subs.filter((sub) => sub.subscribe).map((sub) => sub.topicCID))
       }
     }
+
+    if (control && control.ack && control.ack.length) {
+      this.reliable.handleAck(idB58Str, control.ack)
+    }
+
+    if (control && this.router) {
+      this.router.handleControl(idB58Str, control)
+    }
   }
 
-  _processRpcMessages (msgs) {
-    msgs.forEach((msg) => {
-      const seqno = utils.msgId(msg.from, msg.seqno.toString())
-      // 1. check if I've seen the message, if yes, ignore
-      if (this.cache.has(seqno)) {
-        return
+  /**
+   * Acknowledge the reliable messages received from a peer,
+   * duplicates included as our acknowledgement may have been lost.
+   *
+   * @param {string} idB58Str
+   * @param {Array<Object>} msgs
+   * @returns {undefined}
+   * @private
+   */
+  _ackMessages (idB58Str, msgs) {
+    const peer = this.peers.get(idB58Str)
+    if (!peer || !peer.isWritable) {
+      return
+    }
+
+    const ids = []
+    msgs.filter((msg) => msg.reliable).forEach((msg) => {
+      try {
+        ids.push(this.msgId(msg))
+      } catch (err) {
+        // dropped as invalid when processed
       }
+    })
 
-      this.cache.put(seqno)
+    if (ids.length) {
+      peer.sendControl({ ack: [{ messageIDs: ids }] })
+    }
+  }
 
-      // 1. emit to self
-      this._emitMessages(msg.topicIDs, [msg])
+  _removePeer (peer) {
+    super._removePeer(peer)
 
-      // 2. don't propagate if we've reached 0
-      if (msg.hops === 0) {
-        this.log('skipping forwarding message, hop count is 0')
-        return
+    const id = peer.info.id.toB58String()
+    if (!this.peers.has(id)) {
+      this.reliable.removePeer(id)
+      if (this.router) {
+        this.router.removePeer(id)
       }
+    }
 
-      // 3. decrement remaining hops
-      if (msg.hops && msg.hops > 0) {
-        msg.hops -= 1
-      }
+    return peer
+  }
 
-      // 4. forward message
-      this._forwardMessages(msg.topicIDs, [msg])
-    })
+  /**
+   * The id of a message, see the `msgId` option.
+   *
+   * @param {Object} msg
+   * @returns {string}
+   */
+  msgId (msg) {
+    return this._msgId(msg)
   }
 
-  _emitMessages (topics, messages) {
-    topics.forEach((topic) => {
-      if (!this.subscriptions.has(topic)) {
-        return
-      }
+  /**
+   * Have we seen a message, without counting the lookup
+   * in the seen cache stats, which are about deduplication.
+   *
+   * @param {string} msgId
+   * @returns {boolean}
+   * @private
+   */
+  _seen (msgId) {
+    return this.cache.contains ? this.cache.contains(msgId) : this.cache.has(msgId)
+  }
 
-      messages.forEach((message) => {
-        this.emit(topic, message)
-      })
-    })
+  /**
+   * The topics we subscribe to, directly or with a pattern.
+   *
+   * Peers can make up any topic, only these get their own
+   * counters, not to grow the stats without limit.
+   *
+   * @param {Array<string>} topics
+   * @returns {Array<string>}
+   * @private
+   */
+  _subscribedTopics (topics) {
+    return topics.filter((topic) => utils.anyTopicMatch(this.subscriptions, [topic]))
   }
 
-  _forwardMessages (topics, messages) {
-    this.peers.forEach((peer) => {
-      if (!peer.isWritable || !utils.anyMatch(peer.topics, topics)) {
-        return
+  /**
+   * The topics to count a sent message on: every topic of the
+   * ones we publish, like `published`, the subscribed ones of the
+   * messages we relay.
+   *
+   * @param {Object} msg
+   * @returns {Array<string>}
+   * @private
+   */
+  _labelTopics (msg) {
+    if (msg.from === this.libp2p.peerInfo.id.toB58String()) {
+      return msg.topicIDs
+    }
+
+    return this._subscribedTopics(msg.topicIDs)
+  }
+
+  /**
+   * Check, emit and forward the messages received from a peer.
+   *
+   * The messages of an ignored peer are only checked, scoring
+   * it, but neither emitted nor forwarded.
+   *
+   * @param {string} idB58Str
+   * @param {Array<Object>} msgs
+   * @param {boolean} [ignored]
+   * @returns {undefined}
+   * @private
+   */
+  _processRpcMessages (idB58Str, msgs, ignored) {
+    eachSeries(msgs, (msg, cb) => {
+      const labels = { topics: this._subscribedTopics(msg.topicIDs), peer: idB58Str }
+      this.stats.inc('received', labels)
+
+      let seqno
+      try {
+        seqno = this.msgId(msg)
+      } catch (err) {
+        this.log('dropping message, no id', err.message)
+        this.stats.inc('rejected', labels)
+        this._scorePeer(idB58Str, 'invalidMessages')
+        this.emit('message:rejected', msg, err)
+        return cb()
       }
 
-      concat(peer.topics, (topic, callback) => {
-        if (!this.fwrdHooks.has(topic)) {
-          return callback(null, messages)
-        }
+      // 1. check if I've seen the message, if yes, ignore
+      if (this.cache.has(seqno)) {
+        this.stats.inc('duplicates', labels)
+        this._scorePeer(idB58Str, 'duplicates')
+        return cb()
+      }
 
-        this.log('has hooks, only forward valid messages')
-        const validators = Array.from(this.fwrdHooks.get(topic))
+      // it is of no use past its ttl
+      if (utils.isExpired(msg)) {
+        this.log('dropping expired message', seqno)
+        this.stats.inc('expired', labels)
+        return cb()
+      }
 
-        if (!validators) {
-          return callback(null, messages)
+      // 2. check the signature and the publisher before trusting anything in it
+      this._validateMessage(msg, (err) => {
+        if (err) {
+          this.log('dropping message', seqno, err.message)
+          this.stats.inc('rejected', labels)
+          this._scorePeer(idB58Str, 'invalidMessages')
+          this.emit('message:rejected', msg, err)
+          return cb()
         }
 
-        filter(messages, (msg, cb) => {
-          if (msg.topicIDs.indexOf(topic) < 0) {
-            return cb()
+        // 3. decrypt it, if we can read it
+        this._decryptMessage(msg, (err, plain) => {
+          if (err) {
+            this.log('can not decrypt message', seqno, err.message)
           }
 
-          every(validators, (validator, cb) => {
-            validator(peer, msg, cb)
-          }, cb)
-        }, callback)
-      }, (err, msgs) => {
-        if (err) {
-          this.log(err)
-          return
-        }
+          // 4. run the inbound validators
+          this._runValidators(idB58Str, plain || msg, (result) => {
+            // a copy might have made it while validating
+            if (this._seen(seqno)) {
+              this.stats.inc('duplicates', labels)
+              this._scorePeer(idB58Str, 'duplicates')
+              return cb()
+            }
+
+            // a good peer may still send it
+            if (ignored && result !== ValidationResult.REJECT) {
+              this.log('dropping message from ignored peer', seqno)
+              return cb()
+            }
+
+            this.cache.put(seqno)
+
+            if (result === ValidationResult.REJECT) {
+              this.log('message rejected by validators', seqno)
+              this.stats.inc('rejected', labels)
+              this._scorePeer(idB58Str, 'rejectedMessages')
+              this.emit('message:rejected', msg, new Error('rejected by validators'))
+              return cb()
+            }
+
+            this._scorePeer(idB58Str, 'firstDeliveries')
+
+            // 5. emit to self, relays don't keep what they only forward
+            if (plain && this._isForUs(plain)) {
+              this._deliver(plain)
+            }
+
+            if (result === ValidationResult.IGNORE) {
+              this.log('skipping forwarding message, ignored by validators')
+              return cb()
+            }
+
+            if (utils.destination(msg) === this.libp2p.peerInfo.id.toB58String()) {
+              return cb()
+            }
 
-        peer.sendMessages(utils.normalizeOutRpcMessages([...new Set(msgs)]))
-        this.log('publish msgs on topics', topics, peer.info.id.toB58String())
+            // 6. don't propagate if we've reached 0, but on floodsub links
+            if (msg.hops === 0) {
+              this.log('skipping forwarding message, hop count is 0')
+              this.stats.inc('hopLimited', labels)
+              this._bridgeToFloodsub(msg)
+              return cb()
+            }
+
+            // 7. decrement remaining hops
+            if (msg.hops && msg.hops > 0) {
+              msg.hops -= 1
+            }
+
+            // 8. forward message, relays forward the ciphertext as is
+            if (msg.retain) {
+              this.retained.put(msg, plain)
+            }
+            this._forwardMessages(msg.topicIDs, [msg])
+            cb()
+          })
+        })
       })
     })
   }
 
   /**
-   * Unmounts the floodsub protocol and shuts down every connection
+   * Run the inbound validators of every message topic.
+   *
+   * Calls back with the strictest of the results.
    *
+   * @param {string} idB58Str - the peer the message was received from
+   * @param {Object} msg
    * @param {Function} callback
    * @returns {undefined}
-   *
+   * @private
    */
-  stop (callback) {
-    super.stop((err) => {
-      if (err) return callback(err)
-      this.subscriptions = new Set()
-      callback()
+  _runValidators (idB58Str, msg, callback) {
+    const peer = this.peers.get(idB58Str)
+    const validators = []
+    this.validators.forEach((topicValidators, pattern) => {
+      if (utils.anyTopicMatch([pattern], msg.topicIDs)) {
+        validators.push(...topicValidators)
+      }
+    })
+
+    if (!validators.length) {
+      return callback(ValidationResult.ACCEPT)
+    }
+
+    map(validators, (validator, cb) => {
+      utils.runHook(validator, [peer, msg], (err, result) => {
+        if (err) {
+          this.log.err('validator failed', err)
+          return cb(null, ValidationResult.REJECT)
+        }
+
+        cb(null, result)
+      })
+    }, (err, results) => {
+      if (err || results.indexOf(ValidationResult.REJECT) > -1) {
+        return callback(ValidationResult.REJECT)
+      }
+
+      if (results.indexOf(ValidationResult.IGNORE) > -1) {
+        return callback(ValidationResult.IGNORE)
+      }
+
+      callback(ValidationResult.ACCEPT)
     })
   }
 
   /**
-   * Publish messages to the given topics.
+   * Run the checks a received message has to pass
+   * before it is emitted or forwarded.
    *
-   * @param {Array<string>|string} topics
-   * @param {Array<any>|any} messages
-   * @param {number} hops
+   * @param {Object} msg
+   * @param {Function} callback
    * @returns {undefined}
-   *
+   * @private
    */
-  publish (topics, messages, hops) {
-    assert(this.started, 'Multicast is not started')
+  _validateMessage (msg, callback) {
+    this._verifyMessage(msg, (err, signed) => {
+      if (err) {
+        return callback(err)
+      }
 
-    this.log('publish', topics, messages)
+      // only a key that signed the message is trusted
+      callback(this._authorize(msg.topicIDs, signed ? msg.key : null) ||
+        this._checkEncryption(msg))
+    })
+  }
 
-    topics = ensureArray(topics)
-    messages = ensureArray(messages)
+  /**
+   * Find the encrypted topic, if any, among the given topics.
+   *
+   * @param {Array<string>} topics
+   * @returns {Object} the topic descriptor
+   * @private
+   */
+  _encryptedTopic (topics) {
+    const encrypted = topics
+      .map((topic) => this.topicDescriptors.get(topic))
+      .filter((descriptor) => descriptor && descriptor.enc &&
+        descriptor.enc.mode === encrypt.EncMode.SHAREDKEY)
 
-    const from = this.libp2p.peerInfo.id.toB58String()
+    if (encrypted.length > 1) {
+      throw new Error('can not publish on more than one encrypted topic')
+    }
 
-    const buildMessage = (msg) => {
-      const seqno = utils.randomSeqno()
-      this.cache.put(utils.msgId(from, seqno))
+    return encrypted[0]
+  }
 
-      return {
-        from: from,
-        data: msg,
-        hops: hops,
-        seqno: Buffer.from(seqno),
-        topicIDs: topics
-      }
+  /**
+   * Messages on encrypted topics must not be sent in the clear.
+   *
+   * @param {Object} msg
+   * @returns {Error|null}
+   * @private
+   */
+  _checkEncryption (msg) {
+    if (!sign.isUnset(msg.keyHash)) {
+      return null
     }
 
-    const msgObjects = messages.map(buildMessage)
-
-    // Emit to self if I'm interested
-    this._emitMessages(topics, msgObjects)
+    for (let topic of msg.topicIDs) {
+      const descriptor = this.topicDescriptors.get(topic)
+      if (descriptor && descriptor.enc && descriptor.enc.mode === encrypt.EncMode.SHAREDKEY) {
+        return new Error(`message on encrypted topic ${topic} is not encrypted`)
+      }
+    }
 
-    // send to all the other peers
-    this._forwardMessages(topics, msgObjects)
+    return null
   }
 
   /**
-   * Subscribe to the given topic(s).
+   * Decrypt the message data with one of our topic keys,
+   * or our private key if it is sealed to us.
    *
-   * @param {Array<string>|string} topics
+   * Plaintext messages are passed through as is.
+   *
+   * @param {Object} msg
+   * @param {Function} callback
    * @returns {undefined}
+   * @private
    */
-  subscribe (topics) {
-    assert(this.started, 'Multicast is not started')
+  _decryptMessage (msg, callback) {
+    if (!sign.isUnset(msg.sealedKey)) {
+      if (utils.destination(msg) !== this.libp2p.peerInfo.id.toB58String()) {
+        return callback(new Error('message is sealed to another peer'))
+      }
 
-    topics = ensureArray(topics)
+      return encrypt.unsealMessage(msg, this.libp2p.peerInfo.id.privKey, callback)
+    }
+
+    if (sign.isUnset(msg.keyHash)) {
+      return callback(null, msg)
+    }
+
+    const hash = msg.keyHash.toString('hex')
+    for (let topic of msg.topicIDs) {
+      const keys = this.topicKeys.get(topic)
+      if (keys && keys.has(hash)) {
+        return encrypt.decryptMessage(msg, keys.get(hash), callback)
+      }
+    }
+
+    callback(new Error('no key for ' + hash))
+  }
+
+  /**
+   * Encrypt the message data if it is published on an encrypted topic.
+   *
+   * @param {Object} msg
+   * @param {Object} descriptor - the encrypted topic descriptor, if any
+   * @param {Function} callback
+   * @returns {undefined}
+   * @private
+   */
+  _encryptMessage (msg, descriptor, callback) {
+    if (!descriptor) {
+      return callback(null, msg)
+    }
+
+    const keys = this.topicKeys.get(descriptor.name) || new Map()
+    const hash = (descriptor.enc.keyHashes || [])
+      .find((hash) => keys.has(hash.toString('hex')))
+
+    if (!hash) {
+      return callback(new Error(`no key to publish on encrypted topic ${descriptor.name}`))
+    }
+
+    encrypt.encryptMessage(msg, keys.get(hash.toString('hex')), hash, callback)
+  }
+
+  /**
+   * Check the publisher key against the descriptors of the given topics.
+   *
+   * @param {Array<string>} topics
+   * @param {Buffer} key
+   * @returns {Error|null}
+   * @private
+   */
+  _authorize (topics, key) {
+    for (let topic of topics) {
+      const descriptor = this.topicDescriptors.get(topic)
+      if (descriptor && !auth.isAuthorized(descriptor, key, this.certificates.get(topic))) {
+        return new Error(`publisher is not authorized on topic ${topic}`)
+      }
+    }
+
+    return null
+  }
+
+  /**
+   * Check the message signature according to the signing policy.
+   *
+   * Invalid signatures are always rejected, unsigned messages
+   * only when `strictSigning` is on.
+   *
+   * @param {Object} msg
+   * @param {Function} callback - called with whether the message is signed
+   * @returns {undefined}
+   * @private
+   */
+  _verifyMessage (msg, callback) {
+    sign.verifySignature(msg, (err, valid) => {
+      if (err) {
+        return callback(err)
+      }
+
+      if (valid) {
+        return callback(null, true)
+      }
+
+      if (sign.isUnset(msg.signature)) {
+        return this.options.strictSigning
+          ? callback(new Error('message is not signed'))
+          : callback(null, false)
+      }
+
+      callback(new Error('invalid message signature'))
+    })
+  }
+
+  /**
+   * Emit the messages on every subscription matching their topics,
+   * the handlers of a pattern subscription listen on the pattern.
+   *
+   * Replies are handed to the request they answer instead, and
+   * direct messages are only emitted, as `message:direct`, by
+   * their destination.
+   *
+   * @param {Array<string>} topics
+   * @param {Array<Object>} messages
+   * @returns {undefined}
+   * @private
+   */
+  _emitMessages (topics, messages) {
+    messages = messages.filter((message) => {
+      return !this._handleReply(message) && !this._handleDirect(message)
+    })
+
+    this.subscriptions.forEach((subscription) => {
+      if (!utils.anyTopicMatch([subscription], topics)) {
+        return
+      }
+
+      messages.forEach((message) => {
+        this.emit(subscription, message)
+      })
+    })
+  }
+
+  /**
+   * Is a received message of any use to us: on a topic we are
+   * subscribed to, sent to us, or a reply to one of our requests?
+   *
+   * @param {Object} msg
+   * @returns {boolean}
+   * @private
+   */
+  _isForUs (msg) {
+    const to = utils.destination(msg)
+    if (to) {
+      return to === this.libp2p.peerInfo.id.toB58String()
+    }
+
+    if (utils.anyTopicMatch(this.subscriptions, msg.topicIDs)) {
+      return true
+    }
+
+    return Boolean(msg.inReplyTo && msg.inReplyTo.length &&
+      this.requests.has(msg.inReplyTo.toString('hex')))
+  }
+
+  /**
+   * Emit a received message, once reassembled if it is a fragment,
+   * and in order if it is an ordered one.
+   *
+   * @param {Object} plain - the decrypted message
+   * @returns {undefined}
+   * @private
+   */
+  _deliver (plain) {
+    if (fragments.isFragment(plain)) {
+      plain = this.reassembler.add(plain)
+      if (!plain) {
+        return
+      }
+    }
+
+    if (plain.sequence > 0) {
+      return this.ordering.push(plain)
+    }
+
+    this._emitMessages(plain.topicIDs, [plain])
+  }
+
+  /**
+   * The sequence of the next ordered message published on a topic.
+   *
+   * It starts at the current time so it keeps increasing when
+   * we restart, as subscribers drop the messages going back.
+   *
+   * @param {string} topic
+   * @returns {number}
+   * @private
+   */
+  _nextSequence (topic) {
+    const sequence = (this.sequences.get(topic) || Date.now()) + 1
+    this.sequences.set(topic, sequence)
+    return sequence
+  }
+
+  /**
+   * Hand a reply to its pending request, if it is one of ours.
+   *
+   * @param {Object} message
+   * @returns {boolean} whether the message is a reply
+   * @private
+   */
+  _handleReply (message) {
+    if (!message.inReplyTo || !message.inReplyTo.length) {
+      return false
+    }
+
+    const request = this.requests.get(message.inReplyTo.toString('hex'))
+    if (request) {
+      request.onReply(message)
+    }
+
+    return true
+  }
+
+  /**
+   * Emit a direct message, if we are its destination.
+   *
+   * @param {Object} message
+   * @returns {boolean} whether the message is a direct one
+   * @private
+   */
+  _handleDirect (message) {
+    const to = utils.destination(message)
+    if (!to) {
+      return false
+    }
+
+    if (to === this.libp2p.peerInfo.id.toB58String()) {
+      this.emit('message:direct', message)
+    }
+
+    return true
+  }
+
+  /**
+   * Send messages to the peers interested in them.
+   *
+   * @param {Array<string>} topics
+   * @param {Array<Object>} messages
+   * @param {boolean} [flush] - skip the peer batch window
+   * @param {Function} [callback] - called with the delivery results
+   * of the reliable messages, see `Reliable`
+   * @returns {undefined}
+   * @private
+   */
+  _forwardMessages (topics, messages, flush, callback) {
+    const targets = []
+
+    // send the direct messages straight to their destination, if connected
+    messages = messages.filter((msg) => {
+      const peer = this.peers.get(utils.destination(msg))
+      if (!peer || !peer.isWritable) {
+        return true
+      }
+
+      targets.push({ peer: peer, msgs: [msg] })
+      return false
+    })
+
+    if (messages.length && this.router) {
+      messages.forEach((msg) => this.router.put(msg))
+      // floodsub peers are not part of the mesh, they get everything
+      this.router.peersFor(topics)
+        .concat(this._floodsubPeers(topics))
+        .forEach((peer) => targets.push({ peer: peer, msgs: messages }))
+    } else if (messages.length) {
+      this.peers.forEach((peer) => {
+        if (peer.isWritable && utils.anyTopicMatch(peer.topics, topics)) {
+          targets.push({ peer: peer, msgs: messages })
+        }
+      })
+    }
+
+    concat(targets, (target, cb) => {
+      this._sendMessages(target.peer, target.msgs, flush, cb)
+    }, callback || noop)
+  }
+
+  /**
+   * Do we speak floodsub with the peer?
+   *
+   * @param {Peer} peer
+   * @returns {boolean}
+   */
+  isFloodsubPeer (peer) {
+    return peer.protocol === FLOODSUB_CODEC
+  }
+
+  /**
+   * The writable floodsub peers subscribed to any of the topics.
+   *
+   * @param {Array<string>} topics
+   * @returns {Array<Peer>}
+   * @private
+   */
+  _floodsubPeers (topics) {
+    return Array.from(this.peers.values()).filter((peer) => {
+      return this.isFloodsubPeer(peer) && peer.isWritable &&
+        utils.anyTopicMatch(peer.topics, topics)
+    })
+  }
+
+  /**
+   * Hand a message out of hops to the floodsub peers, which
+   * don't count hops and would otherwise never get it.
+   *
+   * @param {Object} msg
+   * @returns {undefined}
+   * @private
+   */
+  _bridgeToFloodsub (msg) {
+    this._floodsubPeers(msg.topicIDs).forEach((peer) => this._sendMessages(peer, [msg]))
+  }
+
+  /**
+   * Send messages to a peer, keeping only the ones
+   * passing the forwarding hooks of their topics.
+   *
+   * Floodsub peers only get the messages they can make sense of.
+   *
+   * @param {Peer} peer
+   * @param {Array<Object>} messages
+   * @param {boolean} [flush] - skip the peer batch window
+   * @param {Function} [callback] - called with the delivery results of the
+   * reliable messages, `filtered` by the hooks or `unsupported` by floodsub peers
+   * @returns {undefined}
+   * @private
+   */
+  _sendMessages (peer, messages, flush, callback) {
+    callback = callback || noop
+
+    const id = peer.info.id.toB58String()
+    const result = (msg, status) => {
+      return { peer: id, msgId: this.msgId(msg), status: status, attempts: 0 }
+    }
+
+    // floodsub peers don't acknowledge anything
+    const floodsub = this.isFloodsubPeer(peer)
+    const unsupported = floodsub
+      ? messages.filter((msg) => msg.reliable).map((msg) => result(msg, 'unsupported'))
+      : []
+
+    if (floodsub) {
+      messages = messages.filter(isBridgeable)
+      if (!messages.length) {
+        return callback(null, unsupported)
+      }
+    }
+
+    filter(messages, (msg, cb) => {
+      const hooks = []
+      this.fwrdHooks.forEach((topicHooks, pattern) => {
+        if (utils.anyTopicMatch([pattern], msg.topicIDs)) {
+          hooks.push(...topicHooks)
+        }
+      })
+
+      if (!hooks.length) {
+        return cb(null, true)
+      }
+
+      every(hooks, (hook, cb) => {
+        utils.runHook(hook, [peer, msg], cb)
+      }, cb)
+    }, (err, msgs) => {
+      if (err) {
+        this.log(err)
+        msgs = []
+      }
+
+      const sent = new Set(msgs)
+      messages.forEach((msg) => {
+        const labels = { topics: this._labelTopics(msg), peer: id }
+        this.stats.inc(sent.has(msg) ? 'forwarded' : 'filtered', labels)
+      })
+
+      if (sent.size) {
+        // urgent messages don't wait for the batch window
+        flush = flush || msgs.some((msg) => msg.priority > 0)
+        peer.sendMessages(utils.normalizeOutRpcMessages([...sent]), flush)
+        this.log('send msgs to', id)
+      }
+
+      const reliable = messages.filter((msg) => msg.reliable)
+      if (floodsub || !reliable.length) {
+        return callback(null, unsupported)
+      }
+
+      map(reliable, (msg, cb) => {
+        if (!sent.has(msg)) {
+          return cb(null, result(msg, 'filtered'))
+        }
+
+        this.reliable.track(peer, this.msgId(msg), msg, (res) => cb(null, res))
+      }, callback)
+    })
+  }
+
+  /**
+   * Mounts the multicast protocol and starts the mesh heartbeat,
+   * if mesh routing is on.
+   *
+   * @param {Function} [callback]
+   * @returns {Promise|undefined} if no callback is given
+   *
+   */
+  start (callback) {
+    return utils.maybePromise(callback, (callback) => {
+      super.start((err) => {
+        if (err) return callback(err)
+        if (this.router) {
+          this.router.start()
+        }
+        if (this.options.directMessages) {
+          this.subscribe(DIRECT_TOPIC)
+        }
+        callback()
+      })
+    })
+  }
+
+  /**
+   * Unmounts the floodsub protocol and shuts down every connection
+   *
+   * @param {Function} [callback]
+   * @returns {Promise|undefined} if no callback is given
+   *
+   */
+  stop (callback) {
+    return utils.maybePromise(callback, (callback) => {
+      this.requests.forEach((request) => request.finish(new Error('Multicast stopped')))
+      this.reliable.stop()
+
+      super.stop((err) => {
+        if (err) return callback(err)
+        if (this.router) {
+          this.router.stop()
+        }
+        this.subscriptions = new Set()
+        this.retained.clear()
+        this.reassembler.clear()
+        this.ordering.clear()
+        callback()
+      })
+    })
+  }
+
+  /**
+   * Publish messages to the given topics.
+   *
+   * Data bigger than the `fragments.size` option is sent in
+   * fragments, reassembled by the subscribers.
+   *
+   * @param {Array<string>|string} topics
+   * @param {Array<any>|any} messages
+   * @param {number|Object} [options] - the hops, or an options object
+   * @param {number} [options.hops]
+   * @param {number} [options.ttl] - in ms, the message is dropped once it is older
+   * @param {number} [options.priority=0] - higher is sent first, and without batching
+   * @param {boolean} [options.flush] - send right away, even if batching
+   * @param {Buffer} [options.replyTo] - the id replies should refer to, see `request`
+   * @param {Buffer} [options.inReplyTo] - the replyTo of the request being answered
+   * @param {boolean|number} [options.retain] - retain the message, or the last `retain`
+   * ones, for the late subscribers of the topics. Retaining an empty message clears them
+   * @param {string} [options.to] - the destination peer id, see `sendTo`
+   * @param {RsaPublicKey} [options.seal] - the destination key to seal the data to
+   * @param {boolean} [options.reliable] - have every hop acknowledge the messages, and send
+   * them again until it does, by default on the `reliable.topics` option topics
+   * @param {boolean} [options.ordered] - number the messages so subscribers emit them in
+   * order, by default on the `ordering.topics` option topics. Only for single topics
+   * @param {Function} [callback] - called, for reliable messages, with the delivery result
+   * of each of them to each peer once settled, see `Reliable`
+   * @returns {undefined}
+   *
+   */
+  publish (topics, messages, options, callback) {
+    assert(this.started, 'Multicast is not started')
+
+    if (typeof options === 'function') {
+      callback = options
+      options = undefined
+    }
+
+    if (typeof options !== 'object' || options === null) {
+      options = { hops: options }
+    }
+
+    const hops = options.hops
+
+    callback = callback || noop
+
+    this.log('publish', topics, messages)
+
+    topics = ensureArray(topics)
+    messages = ensureArray(messages)
+
+    const peerId = this.libp2p.peerInfo.id
+    const from = peerId.toB58String()
+
+    // peers would drop it anyway
+    const authErr = this._authorize(topics, this.options.signMessages ? peerId.pubKey.bytes : null)
+    if (authErr) {
+      return setImmediate(() => callback(authErr))
+    }
+
+    let encrypted
+    try {
+      encrypted = this._encryptedTopic(topics)
+    } catch (err) {
+      return setImmediate(() => callback(err))
+    }
 
+    if (encrypted && options.seal) {
+      return setImmediate(() => callback(new Error('can not seal messages on encrypted topics')))
+    }
+
+    // sealed to the destination, or encrypted with the topic key
+    const encryptMessage = options.seal
+      ? (message, cb) => encrypt.sealMessage(message, options.seal, cb)
+      : (message, cb) => this._encryptMessage(message, encrypted, cb)
+
+    const fragmentOptions = this.reassembler.options
+    const reliable = options.reliable === undefined
+      ? this.reliable.isReliable(topics)
+      : Boolean(options.reliable)
+    const ordered = options.ordered === undefined
+      ? utils.anyTopicMatch(this.ordering.options.topics, topics)
+      : Boolean(options.ordered)
+
+    if (ordered && topics.length > 1) {
+      return setImmediate(() => callback(new Error('ordered messages can only be published on one topic')))
+    }
+
+    const buildMessage = (piece, cb) => {
+      const message = {
+        from: from,
+        data: piece.data,
+        hops: hops,
+        seqno: piece.count > 1 ? Buffer.from(utils.randomSeqno()) : piece.id,
+        topicIDs: topics
+      }
+
+      if (piece.count > 1) {
+        message.fragmentId = piece.id
+        message.fragmentIndex = piece.index
+        message.fragmentCount = piece.count
+      }
+
+      if (options.replyTo) {
+        message.replyTo = options.replyTo
+      }
+
+      if (options.inReplyTo) {
+        message.inReplyTo = options.inReplyTo
+      }
+
+      if (options.retain) {
+        message.retain = options.retain === true ? 1 : options.retain
+      }
+
+      if (options.ttl) {
+        message.timestamp = Date.now()
+        message.ttl = options.ttl
+      }
+
+      if (options.priority) {
+        message.priority = options.priority
+      }
+
+      if (reliable) {
+        message.reliable = true
+      }
+
+      if (piece.sequence) {
+        message.sequence = piece.sequence
+      }
+
+      if (options.to) {
+        message.to = bs58.decode(options.to)
+      }
+
+      // the signature covers the ciphertext
+      encryptMessage(message, (err, message) => {
+        if (err) {
+          return cb(err)
+        }
+
+        if (!this.options.signMessages) {
+          return cb(null, message)
+        }
+
+        sign.signMessage(peerId, message, cb)
+      })
+    }
+
+    // big data is split in fragments, each of them a message of its own
+    const buildMessages = (data, cb) => {
+      const id = Buffer.from(utils.randomSeqno())
+      const pieces = fragments.split(data, fragmentOptions.size)
+
+      if (pieces.length > fragmentOptions.maxFragments) {
+        return cb(new Error('message is too big, it takes more than ' + fragmentOptions.maxFragments + ' fragments'))
+      }
+
+      if (pieces.length > 1 && options.retain) {
+        return cb(new Error('can not retain fragmented messages'))
+      }
+
+      const sequence = ordered ? this._nextSequence(topics[0]) : 0
+      const toBuild = pieces.map((piece, index) => {
+        return { id: id, data: piece, index: index, count: pieces.length, sequence: sequence }
+      })
+
+      map(toBuild, buildMessage, (err, msgs) => {
+        if (err) {
+          return cb(err)
+        }
+
+        // the message as subscribers get it, we already know the plaintext
+        const plain = msgs.length > 1
+          ? fragments.Reassembler.whole(msgs[0], data)
+          : Object.assign({}, msgs[0], { data: data })
+
+        cb(null, { msgs: msgs, plain: plain })
+      })
+    }
+
+    map(messages, buildMessages, (err, built) => {
+      if (err) {
+        return callback(err)
+      }
+
+      const msgObjects = [].concat.apply([], built.map((b) => b.msgs))
+      const plain = built.map((b) => b.plain)
+
+      this.stats.inc('published', { topics: topics }, built.length)
+
+      // so they are not processed again when they come back
+      try {
+        msgObjects.forEach((msg) => this.cache.put(this.msgId(msg)))
+      } catch (err) {
+        return callback(err)
+      }
+
+      // Emit to self if I'm interested
+      this._emitMessages(topics, plain)
+
+      built.forEach((b) => {
+        if (b.msgs[0].retain) {
+          this.retained.put(b.msgs[0], b.plain)
+        }
+      })
+
+      // send to all the other peers
+      if (reliable) {
+        return this._forwardMessages(topics, msgObjects, options.flush, callback)
+      }
+
+      this._forwardMessages(topics, msgObjects, options.flush)
+      callback()
+    })
+  }
+
+  /**
+   * Subscribe to the given topic(s).
+   *
+   * Topics can be patterns, see `utils.topicMatch`, in which case
+   * the matching messages are emitted on the pattern.
+   *
+   * The messages retained on the new topics are emitted right away.
+   *
+   * @param {Array<string>|string} topics
+   * @returns {undefined}
+   */
+  subscribe (topics) {
+    assert(this.started, 'Multicast is not started')
+
+    topics = ensureArray(topics)
+
+    const added = topics.filter((topic) => !this.subscriptions.has(topic))
     topics.forEach((topic) => this.subscriptions.add(topic))
 
+    // once the handlers are registered
+    setImmediate(() => added.forEach((topic) => {
+      if (this.subscriptions.has(topic)) {
+        this.getRetained(topic).forEach((msg) => this.emit(topic, msg))
+      }
+    }))
+
     this.peers.forEach((peer) => sendSubscriptionsOnceReady(peer))
     // make sure that Multicast is already mounted
     function sendSubscriptionsOnceReady (peer) {
@@ -271,6 +1482,10 @@ class Multicast extends RpcBaseProtocol {
       peer.on('connection', onConnection)
       peer.once('close', () => peer.removeListener('connection', onConnection))
     }
+
+    if (this.router) {
+      topics.forEach((topic) => this.router.join(topic))
+    }
   }
 
   /**
@@ -289,6 +1504,10 @@ class Multicast extends RpcBaseProtocol {
 
     topics.forEach((topic) => this.subscriptions.delete(topic))
 
+    if (this.router) {
+      topics.forEach((topic) => this.router.leave(topic))
+    }
+
     this.peers.forEach((peer) => checkIfReady(peer))
     // make sure that Multicast is already mounted
     function checkIfReady (peer) {
@@ -299,6 +1518,293 @@ class Multicast extends RpcBaseProtocol {
       }
     }
   }
+
+  /**
+   * The messages retained on the topics matching the given
+   * one, leaving out the ones we could not decrypt.
+   *
+   * @param {string} topic
+   * @returns {Array<Object>}
+   */
+  getRetained (topic) {
+    return this.retained.get(topic)
+      .filter((entry) => entry.plain)
+      .map((entry) => entry.plain)
+  }
+
+  /**
+   * Forget the messages retained on the topics matching the
+   * given one, or on every topic. Only our own copies are
+   * cleared, publish an empty retained message to clear the
+   * ones of the other peers.
+   *
+   * @param {string} [topic]
+   * @returns {undefined}
+   */
+  clearRetained (topic) {
+    this.retained.clear(topic)
+  }
+
+  /**
+   * Send the messages retained on the topics a peer just subscribed to.
+   *
+   * @param {Peer} peer
+   * @param {Array<string>} topics
+   * @returns {undefined}
+   * @private
+   */
+  _sendRetained (peer, topics) {
+    const msgs = new Set()
+    topics.forEach((topic) => {
+      this.retained.get(topic).forEach((entry) => msgs.add(entry.msg))
+    })
+
+    if (!msgs.size) {
+      return
+    }
+
+    if (peer.isWritable) {
+      return this._sendMessages(peer, Array.from(msgs))
+    }
+
+    const onConnection = () => {
+      peer.removeListener('connection', onConnection)
+      this._sendRetained(peer, topics)
+    }
+    peer.on('connection', onConnection)
+    peer.once('close', () => peer.removeListener('connection', onConnection))
+  }
+
+  /**
+   * Send a message to a single peer, through the multicast overlay.
+   *
+   * The message is published on a topic every relay is subscribed to,
+   * `multicast:direct` unless told otherwise (see the `directMessages`
+   * option), and only emitted by its destination, as `message:direct`.
+   *
+   * When sealed, the data is encrypted to the destination key, taken
+   * from the peer book if not given, so the relays can't read it.
+   *
+   * @param {PeerId|string} peerId
+   * @param {Buffer} data
+   * @param {Object} [options] - the `publish` options, plus
+   * @param {string} [options.topic='multicast:direct']
+   * @param {boolean} [options.seal=false]
+   * @param {RsaPublicKey} [options.publicKey] - the destination key, to seal the data to
+   * @param {Function} [callback]
+   * @returns {undefined}
+   */
+  sendTo (peerId, data, options, callback) {
+    assert(this.started, 'Multicast is not started')
+
+    if (typeof options === 'function') {
+      callback = options
+      options = {}
+    }
+
+    callback = callback || noop
+    options = options || {}
+
+    const to = typeof peerId === 'string' ? peerId : peerId.toB58String()
+    const publishOptions = Object.assign({}, options, { to: to, seal: null })
+
+    if (options.seal) {
+      publishOptions.seal = options.publicKey || this._publicKeyOf(peerId)
+      if (!publishOptions.seal) {
+        return setImmediate(() => callback(new Error('no public key to seal the message to ' + to)))
+      }
+    }
+
+    this.publish(options.topic || DIRECT_TOPIC, data, publishOptions, callback)
+  }
+
+  /**
+   * The public key of a peer, if we know it.
+   *
+   * @param {PeerId|string} peerId
+   * @returns {PublicKey|undefined}
+   * @private
+   */
+  _publicKeyOf (peerId) {
+    if (peerId.pubKey) {
+      return peerId.pubKey
+    }
+
+    const peerBook = this.libp2p.peerBook
+    if (peerBook && peerBook.has(peerId)) {
+      return peerBook.get(peerId).id.pubKey
+    }
+  }
+
+  /**
+   * Publish a request and collect the replies to it.
+   *
+   * The request is published with a random `replyTo`, the responders
+   * publish their replies on the same topics with it as `inReplyTo`,
+   * so they are routed back to us like any other message. We stay
+   * subscribed to the topics until the request is done.
+   *
+   * Calls back with the replies received before the timeout, or
+   * as soon as `maxResponses` of them were received.
+   *
+   * @param {Array<string>|string} topics
+   * @param {Buffer} data
+   * @param {Object} [options]
+   * @param {number} [options.timeout=10000] - in ms
+   * @param {number} [options.maxResponses=1]
+   * @param {number} [options.hops]
+   * @param {Function} callback
+   * @returns {undefined}
+   */
+  request (topics, data, options, callback) {
+    assert(this.started, 'Multicast is not started')
+
+    if (typeof options === 'function') {
+      callback = options
+      options = {}
+    }
+
+    options = Object.assign({ timeout: 10 * 1000, maxResponses: 1 }, options)
+    topics = ensureArray(topics)
+
+    const replyTo = Buffer.from(utils.randomSeqno(), 'hex')
+    const id = replyTo.toString('hex')
+    const joined = topics.filter((topic) => !this.subscriptions.has(topic))
+    const replies = []
+    let timer = null
+
+    const request = {
+      topics: joined,
+      onReply: (message) => {
+        replies.push(message)
+        if (replies.length >= options.maxResponses) {
+          request.finish()
+        }
+      },
+      finish: (err) => {
+        if (!this.requests.has(id)) {
+          return
+        }
+
+        clearTimeout(timer)
+        this.requests.delete(id)
+        this._leaveRequestTopics(joined)
+        callback(err, err ? undefined : replies)
+      }
+    }
+
+    this.requests.set(id, request)
+    timer = setTimeout(() => request.finish(), options.timeout)
+
+    if (joined.length) {
+      this.subscribe(joined)
+    }
+
+    this.log('request', id, topics)
+    this.publish(topics, data, { hops: options.hops, replyTo: replyTo }, (err) => {
+      if (err) {
+        request.finish(err)
+      }
+    })
+  }
+
+  /**
+   * Unsubscribe from the topics we only joined for a request,
+   * unless they are still in use.
+   *
+   * @param {Array<string>} topics
+   * @returns {undefined}
+   * @private
+   */
+  _leaveRequestTopics (topics) {
+    const inUse = new Set()
+    this.requests.forEach((request) => request.topics.forEach((topic) => inUse.add(topic)))
+
+    this.unsubscribe(topics.filter((topic) => {
+      return !inUse.has(topic) && this.listenerCount(topic) === 0
+    }))
+  }
+
+  /**
+   * Answer the requests published on a topic.
+   *
+   * The handler gets the request message, and calls back with (or returns,
+   * possibly as a promise) the data of the reply. No reply is sent if it
+   * is `null` or `undefined`.
+   *
+   * @example
+   * ```
+   * function (msg: Message, callback) {
+   *   callback(null, Buffer.from('pong'))
+   * }
+   * ```
+   *
+   * @param {string} topic
+   * @param {function} handler
+   * @returns {undefined}
+   */
+  respond (topic, handler) {
+    assert(this.started, 'Multicast is not started')
+    assert(!this.responders.has(topic), 'already responding on ' + topic)
+
+    const listener = (msg) => {
+      if (!msg.replyTo || !msg.replyTo.length) {
+        return
+      }
+
+      utils.runHook(handler, [msg], (err, data) => {
+        if (err) {
+          return this.log.err('responder failed', err)
+        }
+
+        if (data === null || data === undefined) {
+          return
+        }
+
+        if (!Buffer.isBuffer(data)) {
+          return this.log.err('responder data must be a Buffer')
+        }
+
+        if (!this.started) {
+          return
+        }
+
+        this.publish(msg.topicIDs, data, { inReplyTo: msg.replyTo }, (err) => {
+          if (err) {
+            this.log.err('failed to reply', err)
+          }
+        })
+      })
+    }
+
+    this.responders.set(topic, listener)
+    this.on(topic, listener)
+    this.subscribe(topic)
+  }
+
+  /**
+   * Stop answering the requests published on a topic.
+   *
+   * @param {string} topic
+   * @returns {undefined}
+   */
+  unrespond (topic) {
+    const listener = this.responders.get(topic)
+    if (!listener) {
+      return
+    }
+
+    this.responders.delete(topic)
+    this.removeListener(topic, listener)
+
+    if (this.listenerCount(topic) === 0) {
+      this.unsubscribe(topic)
+    }
+  }
 }
 
+Multicast.ValidationResult = ValidationResult
+Multicast.DIRECT_TOPIC = DIRECT_TOPIC
+Multicast.FLOODSUB_CODEC = FLOODSUB_CODEC
+
 module.exports = Multicast
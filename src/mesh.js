@@ -0,0 +1,428 @@
+'use strict'
+
+const MessageCache = require('./message-cache')
+const utils = require('./utils')
+
+// is the peer subscribed to the topic, or to a topic of the pattern?
+const subscribedTo = (peer, topic) => {
+  for (let peerTopic of peer.topics) {
+    if (utils.topicsOverlap(peerTopic, topic)) {
+      return true
+    }
+  }
+
+  return false
+}
+
+/**
+ * Mesh routing, modeled after GossipSub.
+ *
+ * Instead of flooding every peer, messages are eagerly pushed to a
+ * bounded set of peers per topic (the mesh), while the ids of the
+ * recent messages are gossiped (IHAVE) to a few other peers, who
+ * can then pull the ones they miss (IWANT).
+ *
+ * The mesh is maintained with GRAFT/PRUNE control messages
+ * on every heartbeat.
+ *
+ * Meshes are kept by subscription, patterns included: the mesh of
+ * a pattern is made of the peers subscribed to any of its topics.
+ */
+class Mesh {
+  /**
+   * @param {Multicast} multicast
+   * @param {Object} [options]
+   * @param {number} [options.D=6] - desired mesh degree
+   * @param {number} [options.Dlo=4] - lower bound of the mesh degree
+   * @param {number} [options.Dhi=12] - upper bound of the mesh degree
+   * @param {number} [options.heartbeatInterval=1000] - in ms
+   * @param {number} [options.fanoutTTL=60000] - in ms
+   * @param {number} [options.gossipLength=3] - heartbeats to gossip a message for
+   * @param {number} [options.historyLength=5] - heartbeats to keep a message for
+   */
+  constructor (multicast, options) {
+    this.multicast = multicast
+    this.log = multicast.log
+
+    this.options = Object.assign({
+      D: 6,
+      Dlo: 4,
+      Dhi: 12,
+      heartbeatInterval: 1000,
+      fanoutTTL: 60 * 1000,
+      gossipLength: 3,
+      historyLength: 5
+    }, options)
+
+    /**
+     * Peers we eagerly push messages to, by topic we are subscribed to.
+     *
+     * @type {Map<string, Set<string>>}
+     */
+    this.mesh = new Map()
+
+    /**
+     * Peers we push messages to, by topic we publish on
+     * without being subscribed.
+     *
+     * @type {Map<string, Set<string>>}
+     */
+    this.fanout = new Map()
+
+    /**
+     * Last time we published on each fanout topic.
+     *
+     * @type {Map<string, number>}
+     */
+    this.lastpub = new Map()
+
+    /**
+     * @type {MessageCache}
+     */
+    this.mcache = new MessageCache(this.options.gossipLength, this.options.historyLength)
+
+    this._heartbeatTimer = null
+  }
+
+  start () {
+    this._heartbeatTimer = setInterval(() => this.heartbeat(), this.options.heartbeatInterval)
+  }
+
+  stop () {
+    clearInterval(this._heartbeatTimer)
+    this._heartbeatTimer = null
+    this.mesh = new Map()
+    this.fanout = new Map()
+    this.lastpub = new Map()
+  }
+
+  /**
+   * Remember a forwarded message, to gossip about it.
+   *
+   * @param {Object} msg
+   * @returns {undefined}
+   */
+  put (msg) {
+    this.mcache.put(this.multicast.msgId(msg), msg)
+  }
+
+  /**
+   * The peers to push messages on the given topics to.
+   *
+   * @param {Array<string>} topics
+   * @returns {Array<Peer>}
+   */
+  peersFor (topics) {
+    const ids = new Set()
+
+    topics.forEach((topic) => {
+      const meshes = this._meshesFor(topic)
+      if (meshes.length) {
+        // the mesh of a pattern has peers of its other topics as well
+        const members = []
+        meshes.forEach((mesh) => mesh.forEach((id) => {
+          const peer = this.multicast.peers.get(id)
+          if (peer && utils.anyTopicMatch(peer.topics, [topic])) {
+            members.push(id)
+          }
+        }))
+
+        // the mesh is still being built, don't drop the message
+        const peers = members.length ? members : this._randomPeers(topic, this.options.D)
+        peers.forEach((id) => ids.add(id))
+        return
+      }
+
+      // not subscribed, publish to the fanout peers
+      let fanout = this.fanout.get(topic)
+      if (!fanout || !fanout.size) {
+        fanout = new Set(this._randomPeers(topic, this.options.D))
+        this.fanout.set(topic, fanout)
+      }
+      this.lastpub.set(topic, Date.now())
+      fanout.forEach((id) => ids.add(id))
+    })
+
+    return Array.from(ids)
+      .map((id) => this.multicast.peers.get(id))
+      .filter((peer) => peer && peer.isWritable)
+  }
+
+  /**
+   * Build the mesh of a topic we have subscribed to.
+   *
+   * @param {string} topic
+   * @returns {undefined}
+   */
+  join (topic) {
+    if (this.mesh.has(topic)) {
+      return
+    }
+
+    this.log('join', topic)
+    const peers = new Set()
+    this.fanout.forEach((fanout, fanoutTopic) => {
+      if (utils.topicMatch(topic, fanoutTopic)) {
+        fanout.forEach((id) => peers.add(id))
+        this.fanout.delete(fanoutTopic)
+        this.lastpub.delete(fanoutTopic)
+      }
+    })
+
+    if (peers.size < this.options.D) {
+      this._randomPeers(topic, this.options.D - peers.size, peers)
+        .forEach((id) => peers.add(id))
+    }
+
+    this.mesh.set(topic, peers)
+    peers.forEach((id) => this._sendControl(id, { graft: [{ topicID: topic }] }))
+  }
+
+  /**
+   * Tear down the mesh of a topic we unsubscribed from.
+   *
+   * @param {string} topic
+   * @returns {undefined}
+   */
+  leave (topic) {
+    const peers = this.mesh.get(topic)
+    if (!peers) {
+      return
+    }
+
+    this.log('leave', topic)
+    this.mesh.delete(topic)
+    peers.forEach((id) => this._sendControl(id, { prune: [{ topicID: topic }] }))
+  }
+
+  /**
+   * The meshes of the subscriptions overlapping a topic, or a pattern.
+   *
+   * @param {string} topic
+   * @returns {Array<Set<string>>}
+   * @private
+   */
+  _meshesFor (topic) {
+    const meshes = []
+    this.mesh.forEach((peers, meshTopic) => {
+      if (utils.topicsOverlap(meshTopic, topic)) {
+        meshes.push(peers)
+      }
+    })
+
+    return meshes
+  }
+
+  /**
+   * Forget a peer we are no longer connected to.
+   *
+   * @param {string} idB58Str
+   * @returns {undefined}
+   */
+  removePeer (idB58Str) {
+    this.mesh.forEach((peers) => peers.delete(idB58Str))
+    this.fanout.forEach((peers) => peers.delete(idB58Str))
+  }
+
+  /**
+   * Process the control messages received from a peer.
+   *
+   * @param {string} idB58Str
+   * @param {Object} control - an `RPC.ControlMessage`
+   * @returns {undefined}
+   */
+  handleControl (idB58Str, control) {
+    const peer = this.multicast.peers.get(idB58Str)
+    if (!peer) {
+      return
+    }
+
+    const iwant = this._handleIHave(control.ihave || [])
+    const msgs = this._handleIWant(control.iwant || [])
+    const prune = this._handleGraft(idB58Str, control.graft || [])
+    this._handlePrune(idB58Str, control.prune || [])
+
+    if (iwant.length || prune.length) {
+      const reply = {}
+      if (iwant.length) {
+        reply.iwant = [{ messageIDs: iwant }]
+      }
+      if (prune.length) {
+        reply.prune = prune
+      }
+      peer.sendControl(reply)
+    }
+
+    if (msgs.length) {
+      this.multicast._sendMessages(peer, msgs)
+    }
+  }
+
+  _handleIHave (ihave) {
+    const iwant = new Set()
+    ihave.forEach((entry) => {
+      if (!this._meshesFor(entry.topicID).length) {
+        return
+      }
+
+      entry.messageIDs.forEach((msgId) => {
+        if (!this.multicast._seen(msgId)) {
+          iwant.add(msgId)
+        }
+      })
+    })
+
+    return Array.from(iwant)
+  }
+
+  _handleIWant (iwant) {
+    const msgs = new Map()
+    iwant.forEach((entry) => {
+      entry.messageIDs.forEach((msgId) => {
+        const msg = this.mcache.get(msgId)
+        if (msg) {
+          msgs.set(msgId, msg)
+        }
+      })
+    })
+
+    return Array.from(msgs.values())
+  }
+
+  _handleGraft (idB58Str, graft) {
+    const prune = []
+    graft.forEach((entry) => {
+      const meshes = this._meshesFor(entry.topicID)
+      if (!meshes.length) {
+        // not subscribed, refuse the graft
+        prune.push({ topicID: entry.topicID })
+        return
+      }
+
+      this.log('graft', idB58Str, entry.topicID)
+      meshes.forEach((peers) => peers.add(idB58Str))
+    })
+
+    return prune
+  }
+
+  _handlePrune (idB58Str, prune) {
+    prune.forEach((entry) => {
+      this._meshesFor(entry.topicID).forEach((peers) => {
+        this.log('prune', idB58Str, entry.topicID)
+        peers.delete(idB58Str)
+      })
+    })
+  }
+
+  /**
+   * Maintain the mesh and fanout degrees, gossip
+   * and shift the message cache.
+   *
+   * @returns {undefined}
+   */
+  heartbeat () {
+    const options = this.options
+
+    this.mesh.forEach((peers, topic) => {
+      this._dropStalePeers(topic, peers)
+
+      if (peers.size < options.Dlo) {
+        this._randomPeers(topic, options.D - peers.size, peers).forEach((id) => {
+          peers.add(id)
+          this._sendControl(id, { graft: [{ topicID: topic }] })
+        })
+      }
+
+      if (peers.size > options.Dhi) {
+        utils.shuffle(Array.from(peers)).slice(0, peers.size - options.D).forEach((id) => {
+          peers.delete(id)
+          this._sendControl(id, { prune: [{ topicID: topic }] })
+        })
+      }
+
+      this._gossip(topic, peers)
+    })
+
+    const now = Date.now()
+    this.fanout.forEach((peers, topic) => {
+      if (this.lastpub.get(topic) + options.fanoutTTL < now) {
+        this.fanout.delete(topic)
+        this.lastpub.delete(topic)
+        return
+      }
+
+      this._dropStalePeers(topic, peers)
+
+      if (peers.size < options.D) {
+        this._randomPeers(topic, options.D - peers.size, peers)
+          .forEach((id) => peers.add(id))
+      }
+
+      this._gossip(topic, peers)
+    })
+
+    this.mcache.shift()
+  }
+
+  _dropStalePeers (topic, peers) {
+    peers.forEach((id) => {
+      const peer = this.multicast.peers.get(id)
+      if (!peer || !subscribedTo(peer, topic)) {
+        peers.delete(id)
+      }
+    })
+  }
+
+  /**
+   * Send IHAVE for the recent messages of the topic
+   * to some of the peers outside of its mesh.
+   *
+   * @param {string} topic
+   * @param {Set<string>} exclude - the mesh or fanout peers
+   * @returns {undefined}
+   */
+  _gossip (topic, exclude) {
+    const messageIDs = this.mcache.getGossipIDs(topic)
+    if (!messageIDs.length) {
+      return
+    }
+
+    this._randomPeers(topic, this.options.D, exclude).forEach((id) => {
+      this._sendControl(id, { ihave: [{ topicID: topic, messageIDs: messageIDs }] })
+    })
+  }
+
+  /**
+   * Pick up to `count` random writable peers subscribed to the topic.
+   *
+   * @param {string} topic - or a pattern, picking peers of any of its topics
+   * @param {number} count
+   * @param {Set<string>} [exclude]
+   * @returns {Array<string>}
+   */
+  _randomPeers (topic, count, exclude) {
+    const ids = []
+    this.multicast.peers.forEach((peer, id) => {
+      // floodsub peers know nothing of the mesh
+      if (this.multicast.isFloodsubPeer(peer)) {
+        return
+      }
+
+      if (peer.isWritable && subscribedTo(peer, topic) && !(exclude && exclude.has(id))) {
+        ids.push(id)
+      }
+    })
+
+    return utils.shuffle(ids).slice(0, count)
+  }
+
+  _sendControl (idB58Str, control) {
+    const peer = this.multicast.peers.get(idB58Str)
+    if (peer && peer.isWritable) {
+      peer.sendControl(control)
+    }
+  }
+}
+
+module.exports = Mesh
@@ -0,0 +1,84 @@
+'use strict'
+
+const utils = require('./utils')
+
+/**
+ * Sliding window cache of the recently forwarded messages,
+ * used to answer IWANT requests and to build IHAVE gossip.
+ *
+ * The cache is made of `historyLength` windows, shifted on every
+ * heartbeat. Only the last `gossipLength` windows are gossiped.
+ */
+class MessageCache {
+  /**
+   * @param {number} gossipLength
+   * @param {number} historyLength
+   */
+  constructor (gossipLength, historyLength) {
+    /**
+     * @type {Map<string, Object>}
+     */
+    this.msgs = new Map()
+
+    /**
+     * @type {Array<Array<Object>>}
+     */
+    this.history = []
+    for (let i = 0; i < historyLength; i++) {
+      this.history[i] = []
+    }
+
+    this.gossipLength = gossipLength
+  }
+
+  /**
+   * Add a message to the current window.
+   *
+   * @param {string} msgId
+   * @param {Object} msg
+   * @returns {undefined}
+   */
+  put (msgId, msg) {
+    this.msgs.set(msgId, msg)
+    this.history[0].push({ msgId: msgId, topics: msg.topicIDs })
+  }
+
+  /**
+   * @param {string} msgId
+   * @returns {Object|undefined}
+   */
+  get (msgId) {
+    return this.msgs.get(msgId)
+  }
+
+  /**
+   * Ids of the messages of the gossip windows for a topic.
+   *
+   * @param {string} topic - or a pattern
+   * @returns {Array<string>}
+   */
+  getGossipIDs (topic) {
+    const ids = []
+    for (let i = 0; i < this.gossipLength; i++) {
+      this.history[i].forEach((entry) => {
+        if (utils.anyTopicMatch([topic], entry.topics)) {
+          ids.push(entry.msgId)
+        }
+      })
+    }
+    return ids
+  }
+
+  /**
+   * Drop the oldest window and start a new one.
+   *
+   * @returns {undefined}
+   */
+  shift () {
+    const last = this.history.pop()
+    last.forEach((entry) => this.msgs.delete(entry.msgId))
+    this.history.unshift([])
+  }
+}
+
+module.exports = MessageCache
@@ -0,0 +1,165 @@
+'use strict'
+
+const crypto = require('libp2p-crypto')
+const nodeCrypto = require('crypto')
+const createHash = nodeCrypto.createHash
+const Buffer = require('safe-buffer').Buffer
+
+const pb = require('./index')
+
+const EncMode = pb.td.TopicDescriptor.EncOpts.EncMode
+
+/**
+ * Hash of a topic shared key, as listed in the `keyHashes` of the
+ * topic descriptor. The topic name is used as the salt, so the same
+ * key doesn't give away it is shared by several topics.
+ *
+ * @param {string} topic
+ * @param {Buffer} key
+ * @returns {Buffer}
+ */
+function keyHash (topic, key) {
+  return createHash('sha256')
+    .update(Buffer.from(topic))
+    .update(key)
+    .digest()
+}
+
+/**
+ * Encrypt the message data with the shared key.
+ *
+ * Calls back with a copy of the message carrying the
+ * ciphertext, the key hash and the iv used.
+ *
+ * @param {Object} message
+ * @param {Buffer} key - 16 or 32 bytes AES key
+ * @param {Buffer} hash - the key hash
+ * @param {Function} callback
+ * @returns {undefined}
+ */
+function encryptMessage (message, key, hash, callback) {
+  const iv = crypto.randomBytes(16)
+  crypto.aes.create(key, iv, (err, cipher) => {
+    if (err) {
+      return callback(err)
+    }
+
+    cipher.encrypt(message.data, (err, data) => {
+      if (err) {
+        return callback(err)
+      }
+
+      callback(null, Object.assign({}, message, {
+        data: data,
+        keyHash: hash,
+        iv: iv
+      }))
+    })
+  })
+}
+
+/**
+ * Decrypt the message data with the shared key.
+ *
+ * Calls back with a copy of the message carrying the plaintext.
+ *
+ * @param {Object} message
+ * @param {Buffer} key
+ * @param {Function} callback
+ * @returns {undefined}
+ */
+function decryptMessage (message, key, callback) {
+  crypto.aes.create(key, message.iv, (err, cipher) => {
+    if (err) {
+      return callback(err)
+    }
+
+    cipher.decrypt(message.data, (err, data) => {
+      if (err) {
+        return callback(err)
+      }
+
+      callback(null, Object.assign({}, message, { data: data }))
+    })
+  })
+}
+
+/**
+ * Wrap a DER key in PEM armor.
+ *
+ * @param {string} label
+ * @param {Buffer} der
+ * @returns {string}
+ * @private
+ */
+function toPem (label, der) {
+  const lines = der.toString('base64').match(/.{1,64}/g)
+  return [`-----BEGIN ${label}-----`].concat(lines, `-----END ${label}-----`).join('\n')
+}
+
+/**
+ * Seal the message data to the public key of its destination, so
+ * only it can read it.
+ *
+ * The data is encrypted with a random AES key, itself
+ * encrypted with RSA-OAEP to the destination key.
+ *
+ * @param {Object} message
+ * @param {RsaPublicKey} pubKey
+ * @param {Function} callback
+ * @returns {undefined}
+ */
+function sealMessage (message, pubKey, callback) {
+  const key = crypto.randomBytes(32)
+  let sealedKey
+  try {
+    // the key may come from another copy of libp2p-crypto
+    pubKey = crypto.keys.unmarshalPublicKey(pubKey.bytes)
+    if (!(pubKey instanceof crypto.keys.supportedKeys.rsa.RsaPublicKey)) {
+      throw new Error('messages can only be sealed to RSA keys')
+    }
+
+    sealedKey = nodeCrypto.publicEncrypt(toPem('PUBLIC KEY', pubKey.marshal()), key)
+  } catch (err) {
+    return callback(err)
+  }
+
+  encryptMessage(message, key, null, (err, message) => {
+    if (err) {
+      return callback(err)
+    }
+
+    delete message.keyHash
+    message.sealedKey = sealedKey
+    callback(null, message)
+  })
+}
+
+/**
+ * Open a message sealed to our key.
+ *
+ * Calls back with a copy of the message carrying the plaintext.
+ *
+ * @param {Object} message
+ * @param {RsaPrivateKey} privKey
+ * @param {Function} callback
+ * @returns {undefined}
+ */
+function unsealMessage (message, privKey, callback) {
+  let key
+  try {
+    key = nodeCrypto.privateDecrypt(toPem('RSA PRIVATE KEY', privKey.marshal()), message.sealedKey)
+  } catch (err) {
+    return callback(err)
+  }
+
+  decryptMessage(message, key, callback)
+}
+
+exports = module.exports
+exports.EncMode = EncMode
+exports.keyHash = keyHash
+exports.encryptMessage = encryptMessage
+exports.decryptMessage = decryptMessage
+exports.sealMessage = sealMessage
+exports.unsealMessage = unsealMessage
@@ -3,6 +3,10 @@
 const protons = require('protons')
 
 const rpcProto = protons(require('./rpc.proto.js'))
+const topicDescriptorProto = protons(require('./topic-descriptor.proto.js'))
+const floodsubProto = protons(require('./floodsub.proto.js'))
 
 exports = module.exports
 exports.rpc = rpcProto
+exports.td = topicDescriptorProto
+exports.floodsub = floodsubProto
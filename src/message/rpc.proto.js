@@ -3,6 +3,7 @@ module.exports = `
 message RPC {
   repeated SubOpts subscriptions = 1;
   repeated Message msgs = 2;
+  optional ControlMessage control = 3;
 
   message SubOpts {
     optional bool subscribe = 1; // subscribe or unsubcribe
@@ -15,5 +16,51 @@ message RPC {
     optional bytes seqno = 3;
     optional int32 hops = 4 [default = -1];
     repeated string topicIDs = 5;
+    optional bytes signature = 6; // signature over every field but hops, signature and key
+    optional bytes key = 7; // marshalled public key of the publisher
+    optional bytes keyHash = 8; // salted hash of the shared key data is encrypted with
+    optional bytes iv = 9;
+    optional bytes replyTo = 10; // set on requests, the id the replies refer to
+    optional bytes inReplyTo = 11; // set on replies, the replyTo of the request
+    optional uint32 retain = 12; // number of messages to retain on its topics, if no data clear them
+    optional uint64 timestamp = 13; // when it was published, in ms since the epoch
+    optional uint32 ttl = 14; // in ms after the timestamp, dropped once expired
+    optional uint32 priority = 15; // higher is sent first, 0 is normal
+    optional bytes to = 16; // peer id of the destination, only it emits the message
+    optional bytes sealedKey = 17; // key the data is encrypted with, encrypted to the destination key
+    optional bytes fragmentId = 18; // set on fragments, the seqno of the message they are part of
+    optional uint32 fragmentIndex = 19;
+    optional uint32 fragmentCount = 20; // set on fragments, the number of fragments of the message
+    optional bool reliable = 21; // every hop acknowledges it, and sends it again until acknowledged
+    optional uint64 sequence = 22; // set on ordered messages, increasing by one per publisher and topic
+  }
+
+  message ControlMessage {
+    repeated ControlIHave ihave = 1;
+    repeated ControlIWant iwant = 2;
+    repeated ControlGraft graft = 3;
+    repeated ControlPrune prune = 4;
+    repeated ControlAck ack = 5;
+  }
+
+  message ControlIHave {
+    optional string topicID = 1;
+    repeated string messageIDs = 2; // recent messages we can send
+  }
+
+  message ControlIWant {
+    repeated string messageIDs = 1; // messages we are missing
+  }
+
+  message ControlGraft {
+    optional string topicID = 1; // add me to your topic mesh
+  }
+
+  message ControlPrune {
+    optional string topicID = 1; // remove me from your topic mesh
+  }
+
+  message ControlAck {
+    repeated string messageIDs = 1; // reliable messages we received
   }
 }`
@@ -0,0 +1,127 @@
+'use strict'
+
+const crypto = require('libp2p-crypto')
+const bs58 = require('bs58')
+const Buffer = require('safe-buffer').Buffer
+
+const rpc = require('./index').rpc
+
+const SignPrefix = Buffer.from('libp2p-multicast:')
+
+/**
+ * Fields that are not covered by the signature. `hops` is
+ * decremented by every relay, so signing it would invalidate
+ * the message after the first hop.
+ *
+ * @type {Array<string>}
+ */
+const UNSIGNED_FIELDS = ['hops', 'signature', 'key']
+
+/**
+ * Is the field value the same as not having it on the wire?
+ *
+ * Decoded messages have defaults for every missing field,
+ * so they are skipped on both ends to get the same payload.
+ *
+ * @param {any} val
+ * @returns {boolean}
+ * @private
+ */
+function isUnset (val) {
+  return val === undefined ||
+    val === null ||
+    val === false ||
+    val === 0 ||
+    val.length === 0
+}
+
+/**
+ * Build the bytes that get signed for the given message.
+ *
+ * @param {Object} message
+ * @returns {Buffer}
+ */
+function signingPayload (message) {
+  const fields = {}
+  Object.keys(message).forEach((field) => {
+    if (UNSIGNED_FIELDS.indexOf(field) > -1 || isUnset(message[field])) {
+      return
+    }
+
+    fields[field] = message[field]
+  })
+
+  if (typeof fields.from === 'string') {
+    fields.from = bs58.decode(fields.from)
+  }
+
+  return Buffer.concat([SignPrefix, rpc.RPC.Message.encode(fields)])
+}
+
+/**
+ * Sign the message with the private key of the given peer and
+ * attach the signature along with the marshalled public key.
+ *
+ * @param {PeerId} peerId
+ * @param {Object} message
+ * @param {Function} callback
+ * @returns {undefined}
+ */
+function signMessage (peerId, message, callback) {
+  peerId.privKey.sign(signingPayload(message), (err, signature) => {
+    if (err) {
+      return callback(err)
+    }
+
+    callback(null, Object.assign({}, message, {
+      signature: signature,
+      key: peerId.pubKey.bytes
+    }))
+  })
+}
+
+/**
+ * Verify the message signature, and that the key it was
+ * made with belongs to the peer in `from`.
+ *
+ * Calls back with `false` if the message is not signed.
+ *
+ * @param {Object} message
+ * @param {Function} callback
+ * @returns {undefined}
+ */
+function verifySignature (message, callback) {
+  if (isUnset(message.signature) || isUnset(message.key)) {
+    return callback(null, false)
+  }
+
+  let pubKey
+  try {
+    pubKey = crypto.keys.unmarshalPublicKey(message.key)
+  } catch (err) {
+    return callback(err)
+  }
+
+  pubKey.hash((err, multihash) => {
+    if (err) {
+      return callback(err)
+    }
+
+    const from = typeof message.from === 'string'
+      ? bs58.decode(message.from)
+      : message.from
+
+    if (!multihash.equals(from)) {
+      return callback(new Error('message key does not match the sender'))
+    }
+
+    pubKey.verify(signingPayload(message), message.signature, callback)
+  })
+}
+
+exports = module.exports
+exports.SignPrefix = SignPrefix
+exports.isUnset = isUnset
+exports.signingPayload = signingPayload
+exports.signMessage = signMessage
+exports.verifySignature = verifySignature
@@ -4,7 +4,7 @@ module.exports = `
 message TopicDescriptor {
   optional string name = 1;
   optional AuthOpts auth = 2;
-  optional EncOpts enc = 2;
+  optional EncOpts enc = 3;
 
   message AuthOpts {
     optional AuthMode mode = 1;
@@ -27,4 +27,12 @@ message TopicDescriptor {
       WOT = 2; // web of trust, certificates can allow publisher set to grow
     }
   }
+}
+
+// a trusted key (issuer) allowing another key (subject) to publish on a WOT topic
+message Certificate {
+  optional string topic = 1;
+  optional bytes issuer = 2; // marshalled public key
+  optional bytes subject = 3; // marshalled public key
+  optional bytes signature = 4; // issuer signature over topic and subject
 }`
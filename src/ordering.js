@@ -0,0 +1,151 @@
+'use strict'
+
+const EventEmitter = require('events')
+
+/**
+ * Default ordering options.
+ *
+ * @type {Object}
+ */
+const defaults = {
+  window: 1000, // in ms, to wait for a missing message
+  maxBuffered: 1000, // messages waiting per publisher and topic
+  idle: 60000, // in ms, after which a publisher and topic without messages is forgotten
+  topics: [] // topics, or patterns, published on in order by default
+}
+
+/**
+ * Puts the ordered messages of every publisher and topic
+ * back in their sequence order.
+ *
+ * The sequence of a publisher starts at the lowest one received
+ * within `window` of its first message, the streams idle for
+ * longer than `idle` being forgotten.
+ *
+ * Messages arriving ahead of a missing one wait for it up to
+ * `window`, or until `maxBuffered` of them are waiting. The
+ * missing ones are then reported with a `gap` event, `{ from,
+ * topic, first, last }` being the sequences skipped. Messages
+ * arriving once skipped are reported with a `late` event and
+ * dropped, the others are emitted in order with `message`.
+ */
+class ReorderBuffer extends EventEmitter {
+  /**
+   * @param {Object} [options] - see `ReorderBuffer.defaults`
+   */
+  constructor (options) {
+    super()
+
+    this.options = Object.assign({}, defaults, options)
+
+    /**
+     * The state of each publisher and topic.
+     *
+     * @type {Map<string, Object>}
+     */
+    this.streams = new Map()
+  }
+
+  /**
+   * Add a received ordered message.
+   *
+   * @param {Object} msg - with a `sequence`, on a single topic
+   * @returns {undefined}
+   */
+  push (msg) {
+    const topic = msg.topicIDs[0]
+    const key = msg.from + '\0' + topic
+    let stream = this.streams.get(key)
+
+    // where the sequence starts is only known once the first message waited
+    if (!stream) {
+      stream = { key: key, from: msg.from, topic: topic, next: null, buffer: new Map(), timer: null }
+      this.streams.set(key, stream)
+    }
+
+    const late = stream.next !== null && msg.sequence < stream.next
+    if (late || stream.buffer.has(msg.sequence)) {
+      this.emit('late', msg)
+      return
+    }
+
+    const waiting = stream.buffer.size > 0
+    stream.buffer.set(msg.sequence, msg)
+    this._flush(stream)
+
+    if (stream.buffer.size > this.options.maxBuffered) {
+      return this._skip(stream)
+    }
+
+    if (stream.buffer.size && !waiting) {
+      this._wait(stream)
+    }
+  }
+
+  // emit the messages following the last one emitted
+  _flush (stream) {
+    while (stream.buffer.has(stream.next)) {
+      const msg = stream.buffer.get(stream.next)
+      stream.buffer.delete(stream.next)
+      stream.next++
+      this.emit('message', msg)
+    }
+
+    if (!stream.buffer.size) {
+      this._expire(stream)
+    }
+  }
+
+  // wait for the missing messages
+  _wait (stream) {
+    clearTimeout(stream.timer)
+    stream.timer = setTimeout(() => this._skip(stream), this.options.window)
+  }
+
+  // forget the stream if nothing comes in time
+  _expire (stream) {
+    clearTimeout(stream.timer)
+    stream.timer = setTimeout(() => this.streams.delete(stream.key), this.options.idle)
+  }
+
+  // give up on the missing messages before the first waiting one
+  _skip (stream) {
+    clearTimeout(stream.timer)
+    stream.timer = null
+
+    if (!stream.buffer.size) {
+      return
+    }
+
+    const first = Math.min.apply(null, Array.from(stream.buffer.keys()))
+    if (stream.next !== null) {
+      this.emit('gap', {
+        from: stream.from,
+        topic: stream.topic,
+        first: stream.next,
+        last: first - 1
+      })
+    }
+
+    stream.next = first
+    this._flush(stream)
+
+    if (stream.buffer.size) {
+      this._wait(stream)
+    }
+  }
+
+  /**
+   * Forget every stream, dropping the waiting messages.
+   *
+   * @returns {undefined}
+   */
+  clear () {
+    this.streams.forEach((stream) => clearTimeout(stream.timer))
+    this.streams.clear()
+  }
+}
+
+ReorderBuffer.defaults = defaults
+
+module.exports = ReorderBuffer
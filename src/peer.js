@@ -1,21 +1,40 @@
 'use strict'
 
 const Pushable = require('pull-pushable')
+const pull = require('pull-stream')
 const setImmediate = require('async/setImmediate')
 const EventEmitter = require('events')
 
+const Score = require('./score')
+
 const noop = () => {}
 
+const QUEUE_POLICIES = ['drop-oldest', 'drop-newest', 'disconnect']
+
 /**
  * The known state of a connected peer.
  */
 class Peer extends EventEmitter {
   /**
    * @param {PeerInfo} info
+   * @param {Object} [options]
+   * @param {Object} [options.scoring] - see `Score.defaults`
+   * @param {Object} [options.queue] - outbound queue limits
+   * @param {number} [options.queue.maxLength=Infinity] - in messages
+   * @param {number} [options.queue.maxBytes=Infinity] - in encoded bytes
+   * @param {string} [options.queue.policy='drop-oldest'] - what to do when
+   * the queue is full: `drop-oldest`, `drop-newest` or `disconnect`. Only
+   * the frames made of messages alone are dropped, subscriptions and
+   * control always go through
+   * @param {Object} [options.batch] - coalesce outbound rpcs, off if not set
+   * @param {number} [options.batch.window=10] - in ms, to wait for more to send
+   * @param {number} [options.batch.maxMessages=64] - flush once reached
    */
-  constructor (info) {
+  constructor (info, options) {
     super()
 
+    options = options || {}
+
     /**
      * @type {PeerInfo}
      */
@@ -28,7 +47,52 @@ class Peer extends EventEmitter {
      * @type {Pushable}
      */
     this.stream = null
+    /**
+     * The protocol we write to the peer with.
+     *
+     * @type {string}
+     */
+    this.protocol = null
+    /**
+     * @type {Score}
+     */
+    this.score = new Score(options.scoring)
+    /**
+     * @type {Object}
+     */
+    this.queueOptions = Object.assign({
+      maxLength: Infinity,
+      maxBytes: Infinity,
+      policy: 'drop-oldest'
+    }, options.queue)
+
+    if (QUEUE_POLICIES.indexOf(this.queueOptions.policy) < 0) {
+      throw new Error('unknown queue policy ' + this.queueOptions.policy)
+    }
 
+    /**
+     * @type {Object}
+     */
+    this.batchOptions = options.batch
+      ? Object.assign({ window: 10, maxMessages: 64 }, options.batch)
+      : null
+
+    /**
+     * Number of messages dropped because the queue was full.
+     *
+     * @type {number}
+     */
+    this.dropped = 0
+
+    this._encode = null
+    this._queuedBytes = 0
+    this._queuedMessages = 0
+    // the queued frames, in order: their message count and whether they can be dropped
+    this._frames = []
+    this._saturated = false
+    this._batch = null
+    this._batchSize = 0
+    this._batchTimer = null
     this._references = 0
   }
 
@@ -50,42 +114,214 @@ class Peer extends EventEmitter {
     return Boolean(this.stream)
   }
 
+  /**
+   * Messages and bytes waiting to be written to the connection.
+   *
+   * @type {Object}
+   */
+  get queueDepth () {
+    return {
+      length: this._queuedMessages,
+      bytes: this._queuedBytes
+    }
+  }
+
   /**
    * Send a message to this peer.
-   * Throws if there is no `stream` to write to available.
+   * Calls back with an error if there is no `stream` to write
+   * to available, or if the message was dropped because the
+   * outbound queue is full.
    *
-   * @param {Buffer} msg
+   * @param {Object} msg
    * @param {Function} cb
    * @returns {Function}
    */
   write (msg, cb) {
     cb = cb || noop
+    const id = this.info.id.toB58String()
     if (!this.isWritable) {
-      const id = this.info.id.toB58String()
       return cb(new Error('No writable connection to ' + id))
     }
 
-    this.stream.push(msg)
+    const data = this._encode(msg)
+    const frame = {
+      messages: msg.msgs ? msg.msgs.length : 0,
+      droppable: Boolean(msg.msgs && msg.msgs.length && !msg.subscriptions && !msg.control)
+    }
+
+    if (frame.droppable && !this._makeRoom(frame.messages, data.length)) {
+      this.dropped += frame.messages
+      return cb(new Error('Outbound queue to ' + id + ' is full'))
+    }
+
+    this._queuedBytes += data.length
+    this._queuedMessages += frame.messages
+    this._frames.push(frame)
+    this.stream.push(data)
     cb()
   }
 
+  /**
+   * Apply the queue policy, if adding a frame of `messages`
+   * messages and `size` bytes would go over the queue limits.
+   *
+   * @param {number} messages
+   * @param {number} size
+   * @returns {boolean} whether there is room for the frame
+   * @private
+   */
+  _makeRoom (messages, size) {
+    const opts = this.queueOptions
+    const buffer = this.stream.buffer
+    const isFull = () => this._queuedMessages + messages > opts.maxLength ||
+      this._queuedBytes + size > opts.maxBytes
+
+    if (!isFull()) {
+      return true
+    }
+
+    if (!this._saturated) {
+      this._saturated = true
+      this.emit('saturated', this.queueDepth)
+    }
+
+    if (opts.policy === 'disconnect') {
+      this.close(noop)
+      return false
+    }
+
+    if (opts.policy === 'drop-oldest') {
+      let i = 0
+      while (i < this._frames.length && isFull()) {
+        if (this._frames[i].droppable) {
+          const frame = this._frames.splice(i, 1)[0]
+          this._queuedBytes -= buffer.splice(i, 1)[0].length
+          this._queuedMessages -= frame.messages
+          this.dropped += frame.messages
+        } else {
+          i++
+        }
+      }
+    }
+
+    return !isFull()
+  }
+
   /**
    * Attach the peer to a connection and setup a write stream
    *
-   * @param {Connection} conn
-   * @returns {undefined}
+   * @param {Function} encode - rpc encoder, messages are queued encoded
+   * @returns {Function} the source of the encoded messages
    */
-  createStream () {
+  createStream (encode) {
+    this._encode = encode
+    this._queuedBytes = 0
+    this._queuedMessages = 0
+    this._frames = []
+    this._saturated = false
     this.stream = new Pushable()
     this.emit('connection')
-    return this.stream
+    return pull(
+      this.stream,
+      pull.through((data) => {
+        const frame = this._frames.shift()
+        this._queuedBytes -= data.length
+        this._queuedMessages -= frame ? frame.messages : 0
+        if (!this.stream || !this.stream.buffer.length) {
+          this._saturated = false
+        }
+      })
+    )
   }
 
   onStreamEnd () {
+    this._clearBatch()
     this.stream = null
     this.emit('close')
   }
 
+  /**
+   * Send an rpc, or add it to the current batch if batching is on.
+   *
+   * @param {Object} rpc
+   * @param {boolean} [flush] - send the batch right away
+   * @returns {undefined}
+   * @private
+   */
+  _send (rpc, flush) {
+    if (!this.batchOptions) {
+      return this.write(rpc)
+    }
+
+    if (!this._batch) {
+      this._batch = { subscriptions: [], msgs: [], control: {} }
+    }
+
+    const batch = this._batch
+    if (rpc.subscriptions) {
+      batch.subscriptions.push(...rpc.subscriptions)
+      this._batchSize += rpc.subscriptions.length
+    }
+
+    if (rpc.msgs) {
+      batch.msgs.push(...rpc.msgs)
+      this._batchSize += rpc.msgs.length
+    }
+
+    if (rpc.control) {
+      Object.keys(rpc.control).forEach((type) => {
+        batch.control[type] = (batch.control[type] || []).concat(rpc.control[type])
+        this._batchSize += rpc.control[type].length
+      })
+    }
+
+    if (flush || this._batchSize >= this.batchOptions.maxMessages) {
+      return this.flush()
+    }
+
+    if (!this._batchTimer) {
+      this._batchTimer = setTimeout(() => this.flush(), this.batchOptions.window)
+    }
+  }
+
+  /**
+   * Send the current batch as a single rpc.
+   *
+   * @returns {undefined}
+   */
+  flush () {
+    const batch = this._batch
+    this._clearBatch()
+
+    if (!batch) {
+      return
+    }
+
+    const rpc = {}
+    if (batch.subscriptions.length) {
+      rpc.subscriptions = batch.subscriptions
+    }
+    if (batch.msgs.length) {
+      // stable, so the order is kept within a priority
+      rpc.msgs = batch.msgs
+        .map((msg, i) => ({ msg: msg, i: i }))
+        .sort((a, b) => (b.msg.priority || 0) - (a.msg.priority || 0) || a.i - b.i)
+        .map((entry) => entry.msg)
+    }
+    if (Object.keys(batch.control).length) {
+      rpc.control = batch.control
+    }
+
+    this.write(rpc)
+  }
+
+  _clearBatch () {
+    clearTimeout(this._batchTimer)
+    this._batchTimer = null
+    this._batch = null
+    this._batchSize = 0
+  }
+
   _sendRawSubscriptions (topics, subscribe) {
     if (topics.size === 0) {
       return
@@ -99,7 +335,7 @@ class Peer extends EventEmitter {
       })
     })
 
-    this.write({
+    this._send({
       subscriptions: subs
     })
   }
@@ -126,26 +362,46 @@ class Peer extends EventEmitter {
    * Send messages to this peer.
    *
    * @param {Array<any>} msgs
+   * @param {boolean} [flush] - don't wait for the batch window
    * @returns {undefined}
    */
-  sendMessages (msgs) {
-    this.write({
+  sendMessages (msgs, flush) {
+    this._send({
       msgs: msgs
+    }, flush)
+  }
+
+  /**
+   * Send control messages to this peer.
+   *
+   * @param {Object} control - an `RPC.ControlMessage`
+   * @returns {undefined}
+   */
+  sendControl (control) {
+    this._send({
+      control: control
     })
   }
 
   /**
    * Bulk process subscription updates.
    *
+   * Emits `subscribe` or `unsubscribe` with the topic
+   * for every change of the peer topics.
+   *
    * @param {Array} changes
    * @returns {undefined}
    */
   updateSubscriptions (changes) {
     changes.forEach((subopt) => {
+      const topic = subopt.topicCID
       if (subopt.subscribe) {
-        this.topics.add(subopt.topicCID)
-      } else {
-        this.topics.delete(subopt.topicCID)
+        if (!this.topics.has(topic)) {
+          this.topics.add(topic)
+          this.emit('subscribe', topic)
+        }
+      } else if (this.topics.delete(topic)) {
+        this.emit('unsubscribe', topic)
       }
     })
   }
@@ -160,8 +416,9 @@ class Peer extends EventEmitter {
     // Force removal of peer
     this._references = 1
 
-    // End the pushable
+    // End the pushable, with whatever is left to send
     if (this.stream) {
+      this.flush()
       this.stream.end()
     }
 
@@ -0,0 +1,203 @@
+'use strict'
+
+/**
+ * Token bucket, refilled continuously at `rate` tokens per second
+ * up to `capacity` tokens.
+ */
+class TokenBucket {
+  /**
+   * @param {number} rate - tokens per second
+   * @param {number} [capacity=rate]
+   */
+  constructor (rate, capacity) {
+    this.rate = rate
+    this.capacity = capacity || rate
+    this.tokens = this.capacity
+    this.last = Date.now()
+  }
+
+  _refill () {
+    const now = Date.now()
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.last) / 1000 * this.rate)
+    this.last = now
+  }
+
+  /**
+   * Time until `n` tokens are available.
+   *
+   * @param {number} n
+   * @returns {number} in ms, 0 if they are available now
+   */
+  wait (n) {
+    this._refill()
+    if (this.tokens >= n) {
+      return 0
+    }
+
+    return Math.ceil((n - this.tokens) / this.rate * 1000)
+  }
+
+  /**
+   * Is the bucket back to its capacity?
+   *
+   * @returns {boolean}
+   */
+  isFull () {
+    this._refill()
+    return this.tokens >= this.capacity
+  }
+
+  /**
+   * Take `n` tokens, going in debt if there are not enough.
+   *
+   * @param {number} n
+   * @returns {undefined}
+   */
+  take (n) {
+    this._refill()
+    this.tokens -= n
+  }
+}
+
+/**
+ * Inbound rate limits, per remote peer and per topic.
+ *
+ * Every scope has a messages per second and a bytes
+ * per second bucket, each of them optional.
+ */
+class RateLimiter {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.peer] - `{ messages, bytes }` per second, per remote peer
+   * @param {Object} [options.topic] - `{ messages, bytes }` per second, per topic
+   * @param {number} [options.burst=1] - seconds worth of tokens the buckets can hold
+   * @param {string} [options.action='drop'] - `drop`, `delay` or `disconnect`
+   * @param {number} [options.maxBuckets=10000] - buckets kept before forgetting the
+   * full ones, then the oldest topic ones
+   */
+  constructor (options) {
+    this.options = Object.assign({
+      peer: {},
+      topic: {},
+      burst: 1,
+      action: 'drop',
+      maxBuckets: 10000
+    }, options)
+
+    if (['drop', 'delay', 'disconnect'].indexOf(this.options.action) < 0) {
+      throw new Error('unknown rate limit action ' + this.options.action)
+    }
+
+    this.action = this.options.action
+
+    /**
+     * @type {Map<string, Object>}
+     */
+    this.buckets = new Map()
+  }
+
+  _buckets (scope, key) {
+    const id = scope + ':' + key
+    let buckets = this.buckets.get(id)
+    if (!buckets) {
+      const limits = this.options[scope]
+      const burst = this.options.burst
+      buckets = {
+        messages: limits.messages ? new TokenBucket(limits.messages, limits.messages * burst) : null,
+        bytes: limits.bytes ? new TokenBucket(limits.bytes, limits.bytes * burst) : null
+      }
+
+      if (this.buckets.size >= this.options.maxBuckets) {
+        this._prune()
+      }
+
+      this.buckets.set(id, buckets)
+    }
+
+    return buckets
+  }
+
+  // topics come from remote messages, their buckets can't be kept forever
+  _prune () {
+    // full buckets are as good as new ones
+    this.buckets.forEach((buckets, id) => {
+      if ((!buckets.messages || buckets.messages.isFull()) &&
+        (!buckets.bytes || buckets.bytes.isFull())) {
+        this.buckets.delete(id)
+      }
+    })
+
+    // half way down, not to prune again on every new topic
+    const max = this.options.maxBuckets / 2
+    for (let id of this.buckets.keys()) {
+      if (this.buckets.size <= max) {
+        break
+      }
+      if (id.indexOf('topic:') === 0) {
+        this.buckets.delete(id)
+      }
+    }
+  }
+
+  /**
+   * Check the limits of a scope, without taking any token.
+   *
+   * @param {string} scope - `peer` or `topic`
+   * @param {string} key - the peer id or the topic
+   * @param {number} messages
+   * @param {number} bytes
+   * @returns {Object} `{ wait, limit }`, `limit` being the exceeded one, if any
+   */
+  check (scope, key, messages, bytes) {
+    const buckets = this._buckets(scope, key)
+    const result = { wait: 0, limit: null }
+
+    const msgsWait = buckets.messages ? buckets.messages.wait(messages) : 0
+    const bytesWait = buckets.bytes ? buckets.bytes.wait(bytes) : 0
+
+    if (msgsWait > 0) {
+      result.limit = 'messages'
+    }
+
+    if (bytesWait > msgsWait) {
+      result.limit = 'bytes'
+    }
+
+    result.wait = Math.max(msgsWait, bytesWait)
+    return result
+  }
+
+  /**
+   * Take the tokens of a scope.
+   *
+   * @param {string} scope - `peer` or `topic`
+   * @param {string} key - the peer id or the topic
+   * @param {number} messages
+   * @param {number} bytes
+   * @returns {undefined}
+   */
+  take (scope, key, messages, bytes) {
+    const buckets = this._buckets(scope, key)
+    if (buckets.messages) {
+      buckets.messages.take(messages)
+    }
+    if (buckets.bytes) {
+      buckets.bytes.take(bytes)
+    }
+  }
+
+  /**
+   * Forget the buckets of a scope.
+   *
+   * @param {string} scope
+   * @param {string} key
+   * @returns {undefined}
+   */
+  remove (scope, key) {
+    this.buckets.delete(scope + ':' + key)
+  }
+}
+
+exports = module.exports
+exports.TokenBucket = TokenBucket
+exports.RateLimiter = RateLimiter
@@ -0,0 +1,167 @@
+'use strict'
+
+const utils = require('./utils')
+
+/**
+ * Default reliable delivery options.
+ *
+ * @type {Object}
+ */
+const defaults = {
+  retries: 3, // times a message is sent again before giving up
+  backoff: 1000, // in ms, to wait for the first acknowledgement
+  factor: 2, // the wait is multiplied by it after every retry
+  topics: [] // topics, or patterns, published on reliably by default
+}
+
+/**
+ * Tracks the reliable messages sent to each peer until
+ * they acknowledge them, sending them again, with an
+ * exponential backoff, until they do.
+ *
+ * Every tracked message settles with `{ peer, msgId, status,
+ * attempts }`, the status being `delivered`, `timeout` once
+ * out of retries, `disconnected` or `stopped`.
+ */
+class Reliable {
+  /**
+   * @param {Multicast} multicast
+   * @param {Object} [options] - see `Reliable.defaults`
+   */
+  constructor (multicast, options) {
+    this.multicast = multicast
+    this.options = Object.assign({}, defaults, options)
+
+    /**
+     * The messages waiting for an acknowledgement, by peer and message id.
+     *
+     * @type {Map<string, Object>}
+     */
+    this.pending = new Map()
+  }
+
+  /**
+   * Is a topic published on reliably by default?
+   *
+   * @param {Array<string>} topics
+   * @returns {boolean}
+   */
+  isReliable (topics) {
+    return utils.anyTopicMatch(this.options.topics, topics)
+  }
+
+  /**
+   * Track a message just sent to a peer.
+   *
+   * @param {Peer} peer
+   * @param {string} msgId
+   * @param {Object} msg - as sent, with `from` as a string
+   * @param {Function} callback - called with the delivery result
+   * @returns {undefined}
+   */
+  track (peer, msgId, msg, callback) {
+    const idB58Str = peer.info.id.toB58String()
+    const key = idB58Str + ':' + msgId
+
+    const existing = this.pending.get(key)
+    if (existing) {
+      existing.callbacks.push(callback)
+      return
+    }
+
+    const entry = {
+      peer: peer,
+      msgId: msgId,
+      msg: msg,
+      attempts: 1,
+      wait: this.options.backoff,
+      timer: null,
+      callbacks: [callback]
+    }
+
+    this.pending.set(key, entry)
+    this._schedule(key, entry)
+  }
+
+  _schedule (key, entry) {
+    entry.timer = setTimeout(() => this._retry(key, entry), entry.wait)
+  }
+
+  _retry (key, entry) {
+    if (entry.attempts > this.options.retries) {
+      return this._settle(key, 'timeout')
+    }
+
+    // a closed stream is reopened when the peer dials us again
+    if (entry.peer.isWritable) {
+      this.multicast.log('retransmitting', entry.msgId, 'to', entry.peer.info.id.toB58String())
+      this.multicast.stats.inc('retransmitted', {
+        topics: this.multicast._labelTopics(entry.msg),
+        peer: entry.peer.info.id.toB58String()
+      })
+      entry.peer.sendMessages(utils.normalizeOutRpcMessages([entry.msg]), true)
+    }
+
+    entry.attempts++
+    entry.wait *= this.options.factor
+    this._schedule(key, entry)
+  }
+
+  _settle (key, status) {
+    const entry = this.pending.get(key)
+    if (!entry) {
+      return
+    }
+
+    clearTimeout(entry.timer)
+    this.pending.delete(key)
+
+    const result = {
+      peer: entry.peer.info.id.toB58String(),
+      msgId: entry.msgId,
+      status: status,
+      attempts: entry.attempts
+    }
+    entry.callbacks.forEach((callback) => callback(result))
+  }
+
+  /**
+   * Handle the acknowledgements of a peer.
+   *
+   * @param {string} idB58Str
+   * @param {Array<Object>} acks - `{ messageIDs }`
+   * @returns {undefined}
+   */
+  handleAck (idB58Str, acks) {
+    acks.forEach((ack) => {
+      (ack.messageIDs || []).forEach((msgId) => {
+        this._settle(idB58Str + ':' + msgId, 'delivered')
+      })
+    })
+  }
+
+  /**
+   * Give up on the messages sent to a peer that went away.
+   *
+   * @param {string} idB58Str
+   * @returns {undefined}
+   */
+  removePeer (idB58Str) {
+    Array.from(this.pending.keys())
+      .filter((key) => key.indexOf(idB58Str + ':') === 0)
+      .forEach((key) => this._settle(key, 'disconnected'))
+  }
+
+  /**
+   * Give up on every message.
+   *
+   * @returns {undefined}
+   */
+  stop () {
+    Array.from(this.pending.keys()).forEach((key) => this._settle(key, 'stopped'))
+  }
+}
+
+Reliable.defaults = defaults
+
+module.exports = Reliable
@@ -0,0 +1,89 @@
+'use strict'
+
+const utils = require('./utils')
+
+/**
+ * Store of the retained messages, the last ones published with
+ * `retain` on each topic, for the peers subscribing late.
+ *
+ * Every entry holds the message as it goes on the wire and
+ * its plaintext, if we could decrypt it.
+ */
+class RetainedStore {
+  /**
+   * @param {number} [limit=100] - max messages retained per topic
+   */
+  constructor (limit) {
+    this.limit = limit || 100
+
+    /**
+     * @type {Map<string, Array<Object>>}
+     */
+    this.topics = new Map()
+  }
+
+  /**
+   * Retain a message on each of its topics, keeping the last
+   * `msg.retain` ones. A message without data clears them instead.
+   *
+   * @param {Object} msg
+   * @param {Object} [plain] - the decrypted message
+   * @returns {undefined}
+   */
+  put (msg, plain) {
+    const count = Math.min(msg.retain, this.limit)
+    const entry = { msg: msg, plain: plain }
+
+    msg.topicIDs.forEach((topic) => {
+      if (!msg.data || !msg.data.length) {
+        this.topics.delete(topic)
+        return
+      }
+
+      const entries = (this.topics.get(topic) || []).concat(entry)
+      this.topics.set(topic, entries.slice(-count))
+    })
+  }
+
+  /**
+   * The entries retained on the topics matching a pattern,
+   * leaving out the expired ones.
+   *
+   * @param {string} pattern
+   * @returns {Array<Object>} `{ msg, plain }`, oldest first per topic
+   */
+  get (pattern) {
+    const entries = new Set()
+    this.topics.forEach((topicEntries, topic) => {
+      if (utils.topicMatch(pattern, topic)) {
+        topicEntries
+          .filter((entry) => !utils.isExpired(entry.msg))
+          .forEach((entry) => entries.add(entry))
+      }
+    })
+
+    return Array.from(entries)
+  }
+
+  /**
+   * Forget the messages retained on the topics matching
+   * a pattern, or on every topic.
+   *
+   * @param {string} [pattern]
+   * @returns {undefined}
+   */
+  clear (pattern) {
+    if (!pattern) {
+      this.topics.clear()
+      return
+    }
+
+    Array.from(this.topics.keys()).forEach((topic) => {
+      if (utils.topicMatch(pattern, topic)) {
+        this.topics.delete(topic)
+      }
+    })
+  }
+}
+
+module.exports = RetainedStore
@@ -4,6 +4,9 @@ const pull = require('pull-stream')
 const lp = require('pull-length-prefixed')
 
 const BaseProtocol = require('./base')
+const RateLimiter = require('./rate-limit').RateLimiter
+const Stats = require('./stats')
+const compressed = require('./compression')
 
 /**
  * FloodSub (aka dumbsub is an implementation of pubsub focused on
@@ -16,30 +19,224 @@ class RpcBase extends BaseProtocol {
    * @param {String} multicodec
    * @param {ProtonCodec} rpcCodec
    * @param {Object} libp2p
+   * @param {Object} [options]
+   * @param {Object} [options.rateLimit] - inbound limits, see `RateLimiter`
+   * @param {boolean|Object} [options.compression] - also speak the `+deflate` variant of
+   * the protocol, preferring it, see `compressed.defaults`
    * @returns {FloodSub}
    */
-  constructor (debugName, multicodec, rpcCodec, libp2p) {
-    super(debugName, multicodec, libp2p)
+  constructor (debugName, multicodec, rpcCodec, libp2p, options) {
+    super(debugName, multicodec, libp2p, options)
     this.rpcCodec = rpcCodec
+
+    /**
+     * The rpc codec of each protocol.
+     *
+     * @type {Map<string, ProtonCodec>}
+     */
+    this.codecs = new Map([[multicodec, rpcCodec]])
+
+    if (this.options.compression) {
+      const compression = this.options.compression === true ? {} : this.options.compression
+      this.addProtocol(multicodec + compressed.SUFFIX, compressed(rpcCodec, compression), true)
+    }
+
+    /**
+     * @type {RateLimiter}
+     */
+    this.rateLimiter = this.options.rateLimit
+      ? new RateLimiter(this.options.rateLimit)
+      : null
+
+    /**
+     * @type {Stats}
+     */
+    this.stats = new Stats()
+  }
+
+  /**
+   * Also speak another protocol, with its own rpc codec.
+   *
+   * It is only dialed when the peer does not speak the ones before.
+   *
+   * @param {string} multicodec
+   * @param {ProtonCodec} rpcCodec
+   * @param {boolean} [preferred] - dial it before the others
+   * @returns {undefined}
+   */
+  addProtocol (multicodec, rpcCodec, preferred) {
+    if (preferred) {
+      this.multicodecs.unshift(multicodec)
+    } else {
+      this.multicodecs.push(multicodec)
+    }
+    this.codecs.set(multicodec, rpcCodec)
+  }
+
+  _codec (protocol) {
+    return this.codecs.get(protocol) || this.rpcCodec
   }
 
-  _processIncommingConnection (idB58Str, conn, peer) {
+  _removePeer (peer) {
+    super._removePeer(peer)
+
+    const id = peer.info.id.toB58String()
+    if (!this.peers.has(id)) {
+      this.stats.removePeer(id)
+      if (this.rateLimiter) {
+        this.rateLimiter.remove('peer', id)
+      }
+    }
+
+    return peer
+  }
+
+  _processIncommingConnection (idB58Str, conn, peer, protocol) {
+    const codec = this._codec(protocol)
+
     pull(
       conn,
       lp.decode(),
-      pull.map((data) => this.rpcCodec.decode(data)),
+      pull.asyncMap((data, cb) => {
+        if (this.isBanned(idB58Str)) {
+          return cb(null, null)
+        }
+
+        this.stats.inc('bytesIn', { peer: idB58Str }, data.length)
+        this._decodeRpc(idB58Str, codec, data, (rpc) => {
+          if (!rpc) {
+            return cb(null, null)
+          }
+
+          this._throttle(idB58Str, peer, rpc, data.length, cb)
+        })
+      }),
       pull.drain(
-        (rpc) => this._onRpc(idB58Str, rpc),
+        (rpc) => this._onRpc(idB58Str, rpc, protocol),
         (err) => this._onConnectionEnd(idB58Str, peer, err)
       )
     )
   }
 
-  _processOutgoingConnection (idB58Str, conn, peer) {
-    const peerStream = peer.createStream()
+  // codecs flagged `async`, like the compressed ones, decode with a callback
+  _decodeRpc (idB58Str, codec, data, callback) {
+    const done = (err, rpc) => {
+      if (err) {
+        this.log.err('Failed to decode rpc from', idB58Str, err)
+        this._scorePeer(idB58Str, 'decodeFailures')
+        return callback(null)
+      }
+      callback(rpc)
+    }
+
+    if (codec.async) {
+      return codec.decode(data, done)
+    }
+
+    let rpc
+    try {
+      rpc = codec.decode(data)
+    } catch (err) {
+      return done(err)
+    }
+    done(null, rpc)
+  }
+
+  /**
+   * Apply the inbound rate limits to a received rpc.
+   *
+   * Depending on the rate limit action, messages over the limits
+   * are dropped, the rpc is delayed until they are back under them,
+   * or the peer is disconnected and banned. Every exceeded limit
+   * is reported with a `throttled` event.
+   *
+   * @param {string} idB58Str
+   * @param {Peer} peer
+   * @param {Object} rpc
+   * @param {number} size - rpc size in bytes
+   * @param {Function} callback - called with the rpc to process, if any
+   * @returns {undefined}
+   * @private
+   */
+  _throttle (idB58Str, peer, rpc, size, callback) {
+    const limiter = this.rateLimiter
+    const msgs = rpc.msgs || []
+    if (!limiter || !msgs.length) {
+      return callback(null, rpc)
+    }
+
+    const action = limiter.action
+    const throttled = (topic, limit) => {
+      this.log('throttled', idB58Str, topic || '', limit, action)
+      this.emit('throttled', {
+        peer: idB58Str,
+        topic: topic,
+        limit: limit,
+        action: action
+      })
+    }
+
+    let wait = 0
+    let exceeded = false
+
+    const peerCheck = limiter.check('peer', idB58Str, msgs.length, size)
+    if (peerCheck.limit) {
+      exceeded = true
+      wait = peerCheck.wait
+      throttled(null, peerCheck.limit)
+    }
+
+    if (exceeded && action === 'drop') {
+      rpc.msgs = []
+      return callback(null, rpc)
+    }
+
+    limiter.take('peer', idB58Str, msgs.length, size)
+
+    rpc.msgs = msgs.filter((msg) => {
+      const bytes = msg.data ? msg.data.length : 0
+      let dropped = false
+
+      msg.topicIDs.forEach((topic) => {
+        const topicCheck = limiter.check('topic', topic, 1, bytes)
+        if (topicCheck.limit) {
+          exceeded = dropped = true
+          wait = Math.max(wait, topicCheck.wait)
+          throttled(topic, topicCheck.limit)
+        }
+      })
+
+      if (dropped && action === 'drop') {
+        return false
+      }
+
+      msg.topicIDs.forEach((topic) => limiter.take('topic', topic, 1, bytes))
+      return true
+    })
+
+    if (!exceeded) {
+      return callback(null, rpc)
+    }
+
+    if (action === 'disconnect') {
+      this.ban(idB58Str)
+      peer.close(() => {})
+      return callback(null, null)
+    }
+
+    if (action === 'delay') {
+      return setTimeout(() => callback(null, rpc), wait)
+    }
+
+    callback(null, rpc)
+  }
+
+  _processOutgoingConnection (idB58Str, conn, peer, protocol) {
+    const codec = this._codec(protocol)
+    const peerStream = peer.createStream((rpc) => codec.encode(rpc))
     pull(
       peerStream,
-      pull.map((data) => this.rpcCodec.encode(data)),
+      pull.through((data) => this.stats.inc('bytesOut', { peer: idB58Str }, data.length)),
       lp.encode(),
       conn,
       pull.onEnd(() => {
@@ -0,0 +1,97 @@
+'use strict'
+
+/**
+ * Default scoring options.
+ *
+ * @type {Object}
+ */
+const defaults = {
+  weights: {
+    invalidMessages: -10, // bad signature, unauthorized publisher...
+    rejectedMessages: -10, // rejected by the inbound validators
+    decodeFailures: -20, // RPCs we could not decode
+    duplicates: 0, // messages we have already seen
+    firstDeliveries: 1 // messages we got from this peer first
+  },
+  firstDeliveriesCap: 100, // so good behaviour can't be banked forever
+  decay: 0.9, // counters are multiplied by it on every decay interval
+  decayInterval: 1000, // in ms
+  decayToZero: 0.01, // counters below it are reset
+  ignoreThreshold: -100, // RPCs of peers below it are ignored
+  disconnectThreshold: -200, // peers below it are disconnected and banned
+  banDuration: 5 * 60 * 1000 // in ms
+}
+
+/**
+ * Behaviour score of a peer.
+ *
+ * The score is the weighted sum of a few counters, which
+ * decay over time so past behaviour is eventually forgotten.
+ */
+class Score {
+  /**
+   * @param {Object} [options] - see `Score.defaults`
+   */
+  constructor (options) {
+    options = Object.assign({}, defaults, options)
+
+    /**
+     * @type {Object}
+     */
+    this.weights = Object.assign({}, defaults.weights, options.weights)
+
+    this.firstDeliveriesCap = options.firstDeliveriesCap
+    this.decayFactor = options.decay
+    this.decayToZero = options.decayToZero
+
+    /**
+     * @type {Object}
+     */
+    this.counters = {}
+    Object.keys(this.weights).forEach((counter) => {
+      this.counters[counter] = 0
+    })
+  }
+
+  /**
+   * Increment one of the counters.
+   *
+   * @param {string} counter
+   * @param {number} [n=1]
+   * @returns {undefined}
+   */
+  inc (counter, n) {
+    this.counters[counter] = (this.counters[counter] || 0) + (n || 1)
+
+    if (counter === 'firstDeliveries') {
+      this.counters[counter] = Math.min(this.counters[counter], this.firstDeliveriesCap)
+    }
+  }
+
+  /**
+   * Decay every counter.
+   *
+   * @returns {undefined}
+   */
+  decay () {
+    Object.keys(this.counters).forEach((counter) => {
+      const val = this.counters[counter] * this.decayFactor
+      this.counters[counter] = val < this.decayToZero ? 0 : val
+    })
+  }
+
+  /**
+   * The current score.
+   *
+   * @type {number}
+   */
+  get value () {
+    return Object.keys(this.counters).reduce((sum, counter) => {
+      return sum + this.counters[counter] * (this.weights[counter] || 0)
+    }, 0)
+  }
+}
+
+Score.defaults = defaults
+
+module.exports = Score
@@ -0,0 +1,294 @@
+'use strict'
+
+/**
+ * Default seen cache options.
+ *
+ * @type {Object}
+ */
+const defaults = {
+  backend: 'time', // `time`, `bloom` or an object with `has`, `put` and optionally `contains`
+  ttl: 30 * 1000, // in ms
+  maxEntries: 100000,
+  errorRate: 0.0001 // false positive rate of the bloom backend
+}
+
+/**
+ * Lookup and eviction counters shared by the backends.
+ */
+class Stats {
+  constructor () {
+    this.hits = 0
+    this.misses = 0
+    this.evictions = 0
+    this.expired = 0
+  }
+
+  lookup (hit) {
+    if (hit) {
+      this.hits++
+    } else {
+      this.misses++
+    }
+
+    return hit
+  }
+
+  get hitRate () {
+    const lookups = this.hits + this.misses
+    return lookups ? this.hits / lookups : 0
+  }
+}
+
+/**
+ * Exact cache of the seen message ids.
+ *
+ * Entries expire after `ttl`, and the oldest ones are
+ * evicted once there are more than `maxEntries`.
+ */
+class TimeCache {
+  /**
+   * @param {Object} [options] - see `SeenCache.defaults`
+   */
+  constructor (options) {
+    options = Object.assign({}, defaults, options)
+
+    this.ttl = options.ttl
+    this.maxEntries = options.maxEntries
+    this._stats = new Stats()
+
+    /**
+     * Expiry time by key, in insertion (and so expiry) order.
+     *
+     * @type {Map<string, number>}
+     */
+    this.entries = new Map()
+  }
+
+  _sweep () {
+    const now = Date.now()
+    for (let entry of this.entries) {
+      if (entry[1] > now) {
+        break
+      }
+
+      this.entries.delete(entry[0])
+      this._stats.expired++
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @returns {boolean}
+   */
+  has (key) {
+    return this._stats.lookup(this.contains(key))
+  }
+
+  /**
+   * Same as `has`, without counting the lookup.
+   *
+   * @param {string} key
+   * @returns {boolean}
+   */
+  contains (key) {
+    this._sweep()
+    return this.entries.has(key)
+  }
+
+  /**
+   * @param {string} key
+   * @returns {undefined}
+   */
+  put (key) {
+    this._sweep()
+    if (this.entries.has(key)) {
+      return
+    }
+
+    this.entries.set(key, Date.now() + this.ttl)
+
+    if (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value)
+      this._stats.evictions++
+    }
+  }
+
+  /**
+   * @type {Object}
+   */
+  get stats () {
+    return {
+      size: this.entries.size,
+      hits: this._stats.hits,
+      misses: this._stats.misses,
+      hitRate: this._stats.hitRate,
+      evictions: this._stats.evictions,
+      expired: this._stats.expired
+    }
+  }
+}
+
+/**
+ * Bloom filter over strings, using double hashing.
+ */
+class BloomFilter {
+  /**
+   * @param {number} capacity - expected number of entries
+   * @param {number} errorRate - false positive rate at capacity
+   */
+  constructor (capacity, errorRate) {
+    this.bits = Math.ceil(-capacity * Math.log(errorRate) / (Math.LN2 * Math.LN2))
+    this.hashes = Math.max(1, Math.round(this.bits / capacity * Math.LN2))
+    this.buffer = new Uint8Array(Math.ceil(this.bits / 8))
+    this.count = 0
+  }
+
+  _indexes (key) {
+    // two FNV-1a variants, combined as h1 + i * h2
+    let h1 = 0x811c9dc5
+    let h2 = 0x01000193
+    for (let i = 0; i < key.length; i++) {
+      const c = key.charCodeAt(i)
+      h1 = Math.imul(h1 ^ c, 0x01000193)
+      h2 = Math.imul(h2 ^ c, 0x5bd1e995)
+    }
+
+    const indexes = []
+    for (let i = 0; i < this.hashes; i++) {
+      indexes.push(((h1 + i * h2) >>> 0) % this.bits)
+    }
+
+    return indexes
+  }
+
+  has (key) {
+    return this._indexes(key).every((i) => this.buffer[i >> 3] & (1 << (i & 7)))
+  }
+
+  add (key) {
+    this._indexes(key).forEach((i) => {
+      this.buffer[i >> 3] |= 1 << (i & 7)
+    })
+    this.count++
+  }
+}
+
+/**
+ * Approximate cache of the seen message ids, for high throughputs.
+ *
+ * Made of two bloom filters: keys are added to the current one, and
+ * looked up in both. The current one becomes the previous one after
+ * `ttl`, or once it holds `maxEntries`, so keys are remembered for at
+ * least that long. Memory use is fixed, at the cost of treating a new
+ * message as seen every now and then (see `errorRate`).
+ */
+class BloomCache {
+  /**
+   * @param {Object} [options] - see `SeenCache.defaults`
+   */
+  constructor (options) {
+    options = Object.assign({}, defaults, options)
+
+    this.ttl = options.ttl
+    this.maxEntries = options.maxEntries
+    this.errorRate = options.errorRate
+    this._stats = new Stats()
+
+    this.current = new BloomFilter(this.maxEntries, this.errorRate)
+    this.previous = null
+    this._rotated = Date.now()
+  }
+
+  _rotate () {
+    const full = this.current.count >= this.maxEntries
+    if (!full && this._rotated + this.ttl > Date.now()) {
+      return
+    }
+
+    if (this.previous) {
+      // dropped early when the filter fills up before the ttl
+      this._stats[full ? 'evictions' : 'expired'] += this.previous.count
+    }
+
+    this.previous = this.current
+    this.current = new BloomFilter(this.maxEntries, this.errorRate)
+    this._rotated = Date.now()
+  }
+
+  /**
+   * @param {string} key
+   * @returns {boolean}
+   */
+  has (key) {
+    return this._stats.lookup(this.contains(key))
+  }
+
+  /**
+   * Same as `has`, without counting the lookup.
+   *
+   * @param {string} key
+   * @returns {boolean}
+   */
+  contains (key) {
+    this._rotate()
+    return this.current.has(key) || Boolean(this.previous && this.previous.has(key))
+  }
+
+  /**
+   * @param {string} key
+   * @returns {undefined}
+   */
+  put (key) {
+    this._rotate()
+    if (!this.current.has(key)) {
+      this.current.add(key)
+    }
+  }
+
+  /**
+   * `size` is an estimate, keys seen in both filters are counted twice.
+   *
+   * @type {Object}
+   */
+  get stats () {
+    return {
+      size: this.current.count + (this.previous ? this.previous.count : 0),
+      hits: this._stats.hits,
+      misses: this._stats.misses,
+      hitRate: this._stats.hitRate,
+      evictions: this._stats.evictions,
+      expired: this._stats.expired
+    }
+  }
+}
+
+/**
+ * Create the seen cache for the given options.
+ *
+ * @param {Object} [options] - see `defaults`
+ * @returns {TimeCache|BloomCache|Object}
+ */
+function SeenCache (options) {
+  options = Object.assign({}, defaults, options)
+
+  const backend = options.backend
+  if (backend && typeof backend === 'object') {
+    return backend
+  }
+
+  switch (backend) {
+    case 'time':
+      return new TimeCache(options)
+    case 'bloom':
+      return new BloomCache(options)
+    default:
+      throw new Error('unknown seen cache backend ' + backend)
+  }
+}
+
+SeenCache.defaults = defaults
+SeenCache.TimeCache = TimeCache
+SeenCache.BloomCache = BloomCache
+SeenCache.BloomFilter = BloomFilter
+
+module.exports = SeenCache
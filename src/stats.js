@@ -0,0 +1,208 @@
+'use strict'
+
+/**
+ * The counters, with their Prometheus help text.
+ *
+ * @type {Object}
+ */
+const counters = {
+  published: 'Messages published by this node',
+  received: 'Messages received from peers',
+  duplicates: 'Received messages dropped as already seen',
+  hopLimited: 'Received messages not forwarded as out of hops',
+  expired: 'Received messages dropped as past their ttl',
+  forwarded: 'Messages sent to peers, ours included',
+  retransmitted: 'Reliable messages sent again to peers not acknowledging them',
+  rejected: 'Received messages rejected as invalid or by the validators',
+  filtered: 'Messages not sent to a peer because of the forwarding hooks',
+  bytesIn: 'Bytes received from peers',
+  bytesOut: 'Bytes sent to peers'
+}
+
+/**
+ * The seen cache stats, with their Prometheus type and help text.
+ *
+ * @type {Object}
+ */
+const cacheMetrics = {
+  size: ['gauge', 'Message ids in the seen cache'],
+  hits: ['counter', 'Received messages found in the seen cache'],
+  misses: ['counter', 'Received messages not found in the seen cache'],
+  hitRate: ['gauge', 'Share of the received messages found in the seen cache'],
+  evictions: ['counter', 'Message ids evicted from the full seen cache'],
+  expired: ['counter', 'Message ids expired from the seen cache']
+}
+
+const emptyCounters = () => {
+  const values = {}
+  Object.keys(counters).forEach((counter) => {
+    values[counter] = 0
+  })
+  return values
+}
+
+const toMap = (map) => {
+  const obj = {}
+  map.forEach((values, key) => {
+    obj[key] = Object.assign({}, values)
+  })
+  return obj
+}
+
+// fooBar -> foo_bar
+const snakeCase = (name) => name.replace(/[A-Z]/g, (c) => '_' + c.toLowerCase())
+
+const escapeLabel = (val) => String(val)
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n')
+
+/**
+ * Message and traffic counters, in total, per topic and per peer.
+ */
+class Stats {
+  constructor () {
+    /**
+     * @type {Object}
+     */
+    this.totals = emptyCounters()
+
+    /**
+     * @type {Map<string, Object>}
+     */
+    this.topics = new Map()
+
+    /**
+     * @type {Map<string, Object>}
+     */
+    this.peers = new Map()
+
+    /**
+     * The seen cache, its `stats` are reported along, if it has any.
+     *
+     * @type {SeenCache}
+     */
+    this.seenCache = null
+  }
+
+  _values (map, key) {
+    let values = map.get(key)
+    if (!values) {
+      values = emptyCounters()
+      map.set(key, values)
+    }
+
+    return values
+  }
+
+  /**
+   * Increment a counter.
+   *
+   * @param {string} counter
+   * @param {Object} [labels]
+   * @param {Array<string>} [labels.topics] - the topics to increment it for
+   * @param {string} [labels.peer] - the peer to increment it for
+   * @param {number} [n=1]
+   * @returns {undefined}
+   */
+  inc (counter, labels, n) {
+    if (n === undefined) {
+      n = 1
+    }
+    labels = labels || {}
+
+    this.totals[counter] += n
+    if (labels.topics) {
+      labels.topics.forEach((topic) => {
+        this._values(this.topics, topic)[counter] += n
+      })
+    }
+    if (labels.peer) {
+      this._values(this.peers, labels.peer)[counter] += n
+    }
+  }
+
+  /**
+   * Forget the counters of a peer.
+   *
+   * @param {string} peer
+   * @returns {undefined}
+   */
+  removePeer (peer) {
+    this.peers.delete(peer)
+  }
+
+  /**
+   * @returns {Object} `{ totals, topics, peers, seenCache }`
+   */
+  toJSON () {
+    const json = {
+      totals: Object.assign({}, this.totals),
+      topics: toMap(this.topics),
+      peers: toMap(this.peers)
+    }
+
+    const seenCache = this.seenCache && this.seenCache.stats
+    if (seenCache) {
+      json.seenCache = Object.assign({}, seenCache)
+    }
+
+    return json
+  }
+
+  /**
+   * The counters in the Prometheus text exposition format.
+   *
+   * Every counter has a `<prefix>_<counter>_total` metric, and the
+   * `<prefix>_topic_<counter>_total` and `<prefix>_peer_<counter>_total`
+   * ones labelled by topic and peer. The seen cache stats are under
+   * `<prefix>_seen_cache_`.
+   *
+   * @param {string} [prefix='libp2p_multicast']
+   * @returns {string}
+   */
+  toPrometheus (prefix) {
+    prefix = prefix || 'libp2p_multicast'
+    const lines = []
+
+    const family = (name, help, samples, type) => {
+      lines.push(`# HELP ${name} ${help}`)
+      lines.push(`# TYPE ${name} ${type || 'counter'}`)
+      samples.forEach((sample) => lines.push(sample))
+    }
+
+    const labelled = (map, label, counter) => {
+      const samples = []
+      map.forEach((values, key) => {
+        samples.push(`{${label}="${escapeLabel(key)}"} ${values[counter]}`)
+      })
+      return samples
+    }
+
+    Object.keys(counters).forEach((counter) => {
+      const name = snakeCase(counter) + '_total'
+      const help = counters[counter]
+
+      family(`${prefix}_${name}`, help, [`${prefix}_${name} ${this.totals[counter]}`])
+      family(`${prefix}_topic_${name}`, help + ', per topic',
+        labelled(this.topics, 'topic', counter).map((s) => `${prefix}_topic_${name}${s}`))
+      family(`${prefix}_peer_${name}`, help + ', per peer',
+        labelled(this.peers, 'peer', counter).map((s) => `${prefix}_peer_${name}${s}`))
+    })
+
+    const seenCache = this.seenCache && this.seenCache.stats
+    if (seenCache) {
+      Object.keys(cacheMetrics).forEach((metric) => {
+        const type = cacheMetrics[metric][0]
+        const name = `${prefix}_seen_cache_${snakeCase(metric)}${type === 'counter' ? '_total' : ''}`
+        family(name, cacheMetrics[metric][1], [`${name} ${seenCache[metric]}`], type)
+      })
+    }
+
+    return lines.join('\n') + '\n'
+  }
+}
+
+Stats.counters = Object.keys(counters)
+
+module.exports = Stats
@@ -1,6 +1,7 @@
 'use strict'
 
 const crypto = require('libp2p-crypto')
+const createHash = require('crypto').createHash
 const bs58 = require('bs58')
 
 exports = module.exports
@@ -27,6 +28,150 @@ exports.msgId = (from, seqno) => {
   return from + seqno
 }
 
+/**
+ * Generate a content addressed message id, the hash of its
+ * topics and data, so the same payload published by different
+ * peers is only delivered once.
+ *
+ * Requests, replies and direct messages are told apart by their
+ * `replyTo`, `inReplyTo` and `to`, and replies by their publisher
+ * too, so every responder gets its answer through.
+ *
+ * For encrypted topics it is the hash of the ciphertext.
+ *
+ * @param {Object} msg
+ * @returns {string}
+ * @private
+ */
+exports.contentId = (msg) => {
+  const hash = createHash('sha256')
+  msg.topicIDs.slice().sort().forEach((topic) => {
+    hash.update(topic)
+    hash.update('\0')
+  })
+
+  const fields = ['replyTo', 'inReplyTo', 'to']
+  fields.forEach((field) => {
+    if (msg[field] && msg[field].length) {
+      hash.update(field)
+      hash.update(msg[field])
+      hash.update('\0')
+    }
+  })
+
+  if (msg.inReplyTo && msg.inReplyTo.length) {
+    hash.update(msg.from)
+    hash.update('\0')
+  }
+
+  // fragments of different messages can have the same data
+  if (msg.fragmentCount > 0) {
+    hash.update(msg.fragmentId)
+    hash.update(String(msg.fragmentIndex))
+    hash.update('\0')
+  }
+
+  return hash.update(msg.data || '').digest('hex')
+}
+
+/**
+ * The peer id a direct message is for.
+ *
+ * @param {Object} msg
+ * @returns {string|null} null if it is not a direct message
+ * @private
+ */
+exports.destination = (msg) => {
+  return msg.to && msg.to.length ? bs58.encode(msg.to) : null
+}
+
+/**
+ * Check if a message outlived its ttl.
+ *
+ * @param {Object} msg
+ * @returns {boolean}
+ * @private
+ */
+exports.isExpired = (msg) => {
+  return msg.ttl > 0 && Date.now() > msg.timestamp + msg.ttl
+}
+
+/**
+ * Check if a topic matches a subscription pattern.
+ *
+ * Topics are made of `/` separated levels, in a pattern `*` matches
+ * exactly one level and `#`, as the last level, any number of them.
+ * A pattern also matches itself, so patterns can be compared too.
+ *
+ * @example
+ * ```
+ * topicMatch('chain/1/*', 'chain/1/blocks') // true
+ * topicMatch('alerts/#', 'alerts') // true
+ * topicMatch('alerts/#', 'alerts/eth/high') // true
+ * ```
+ *
+ * @param {string} pattern
+ * @param {string} topic
+ * @returns {boolean}
+ * @private
+ */
+exports.topicMatch = (pattern, topic) => {
+  if (pattern === topic) {
+    return true
+  }
+
+  if (pattern.indexOf('*') < 0 && pattern.indexOf('#') < 0) {
+    return false
+  }
+
+  const levels = pattern.split('/')
+  const topicLevels = topic.split('/')
+  for (let i = 0; i < levels.length; i++) {
+    if (levels[i] === '#') {
+      return i === levels.length - 1
+    }
+
+    if (i >= topicLevels.length || (levels[i] !== '*' && levels[i] !== topicLevels[i])) {
+      return false
+    }
+  }
+
+  return levels.length === topicLevels.length
+}
+
+/**
+ * Check if two topics, or patterns, can match the same topic
+ * as far as we can tell: one of them matches the other.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ * @private
+ */
+exports.topicsOverlap = (a, b) => {
+  return exports.topicMatch(a, b) || exports.topicMatch(b, a)
+}
+
+/**
+ * Check if any of the patterns matches any of the topics.
+ *
+ * @param {Set|Array} patterns
+ * @param {Set|Array} topics
+ * @returns {boolean}
+ * @private
+ */
+exports.anyTopicMatch = (patterns, topics) => {
+  for (let pattern of patterns) {
+    for (let topic of topics) {
+      if (exports.topicMatch(pattern, topic)) {
+        return true
+      }
+    }
+  }
+
+  return false
+}
+
 /**
  * Check if any member of the first set is also a member
  * of the second set.
@@ -68,6 +213,87 @@ exports.ensureArray = (maybeArray) => {
   return maybeArray
 }
 
+/**
+ * Shuffle an array in place (Fisher-Yates).
+ *
+ * @param {Array} arr
+ * @returns {Array}
+ * @private
+ */
+exports.shuffle = (arr) => {
+  for (let i = arr.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1))
+    const tmp = arr[i]
+    arr[i] = arr[j]
+    arr[j] = tmp
+  }
+  return arr
+}
+
+/**
+ * Run `fn` with a node style callback. If no `callback`
+ * is given, return a promise for its result instead.
+ *
+ * @param {Function} [callback]
+ * @param {Function} fn - `(callback) => {}`
+ * @returns {Promise|undefined}
+ * @private
+ */
+exports.maybePromise = (callback, fn) => {
+  if (typeof callback === 'function') {
+    fn(callback)
+    return
+  }
+
+  return new Promise((resolve, reject) => {
+    fn((err, res) => err ? reject(err) : resolve(res))
+  })
+}
+
+/**
+ * Run a hook that can either take a node style callback
+ * as its last argument, or return its result directly
+ * or as a promise.
+ *
+ * Hooks declaring more parameters than `args` take a
+ * callback, their return value is ignored.
+ *
+ * @param {Function} hook
+ * @param {Array<any>} args
+ * @param {Function} callback
+ * @returns {undefined}
+ * @private
+ */
+exports.runHook = (hook, args, callback) => {
+  let called = false
+  const done = (err, res) => {
+    if (called) {
+      return
+    }
+    called = true
+    callback(err, res)
+  }
+
+  const takesCallback = hook.length > args.length
+
+  let ret
+  try {
+    ret = takesCallback ? hook(...args, done) : hook(...args)
+  } catch (err) {
+    return done(err)
+  }
+
+  if (takesCallback) {
+    return
+  }
+
+  if (ret && typeof ret.then === 'function') {
+    ret.then((res) => done(null, res), done)
+  } else {
+    done(null, ret)
+  }
+}
+
 exports.normalizeInRpcMessages = (messages) => {
   if (!messages) {
     return messages
@@ -10,6 +10,10 @@ const series = require('async/series')
 const times = require('lodash/times')
 
 const FloodSub = require('../src')
+const api = require('../src/api')
+const AuthMode = require('../src/auth').AuthMode
+const RateLimiter = require('../src/rate-limit').RateLimiter
+const encrypt = require('../src/message/encrypt')
 const utils = require('./utils')
 const first = utils.first
 const createNode = utils.createNode
@@ -176,6 +180,126 @@ describe('basics between 2 nodes', () => {
       }, 100)
     })
 
+    it('Subscribe to a pattern in nodeA and publish on a matching topic in nodeB', (done) => {
+      fsA.subscribe('chain/1/*')
+
+      setTimeout(() => {
+        expectSet(first(fsB.peers).topics, ['chain/1/*'])
+
+        fsA.once('chain/1/*', (msg) => {
+          expect(msg.data.toString()).to.equal('block')
+          expect(msg.topicIDs).to.eql(['chain/1/blocks'])
+          fsA.once('chain/1/*', shouldNotHappen)
+
+          // not matching, not forwarded
+          fsB.publish('chain/2/blocks', Buffer.from('other'))
+          setTimeout(() => {
+            fsA.removeListener('chain/1/*', shouldNotHappen)
+            fsA.unsubscribe('chain/1/*')
+            done()
+          }, 100)
+        })
+
+        fsB.publish('chain/1/blocks', Buffer.from('block'))
+      }, 100)
+    })
+
+    it('Deliver the retained messages to late subscribers', (done) => {
+      fsB.publish('state', Buffer.from('old'), { retain: true })
+      fsB.publish('state', Buffer.from('current'), { retain: true })
+      fsB.publish('state', Buffer.from('not retained'))
+
+      setTimeout(() => {
+        let local = false
+        fsB.subscribe('state')
+        fsB.once('state', (msg) => {
+          expect(msg.data.toString()).to.equal('current')
+          local = true
+        })
+
+        fsA.subscribe('state')
+        fsA.once('state', (msg) => {
+          expect(msg.data.toString()).to.equal('current')
+          expect(local).to.be.true()
+          fsA.unsubscribe('state')
+          fsB.unsubscribe('state')
+          fsB.clearRetained('state')
+          expect(fsB.getRetained('state')).to.eql([])
+          done()
+        })
+      }, 100)
+    })
+
+    it('Count the messages and bytes', () => {
+      const statsA = fsA.stats.toJSON()
+      const statsB = fsB.stats.toJSON()
+      const idA = fsA.libp2p.peerInfo.id.toB58String()
+      const idB = fsB.libp2p.peerInfo.id.toB58String()
+
+      expect(statsB.totals.published).to.be.above(0)
+      expect(statsB.topics.Z.forwarded).to.be.above(0)
+      expect(statsB.peers[idA].bytesOut).to.be.above(0)
+      expect(statsA.topics.Z.received).to.equal(statsB.topics.Z.forwarded)
+      expect(statsA.peers[idB].bytesIn).to.be.above(0)
+      // a single seen cache lookup per received message
+      expect(statsA.seenCache.hits + statsA.seenCache.misses).to.equal(statsA.totals.received)
+    })
+
+    it('Only count the topics we subscribe to', (done) => {
+      const received = fsA.stats.totals.received
+      fsA.subscribe('known/*')
+      fsA._processRpcMessages(fsB.libp2p.peerInfo.id.toB58String(), [{
+        from: fsB.libp2p.peerInfo.id.toB58String(),
+        data: Buffer.from('made up'),
+        seqno: Buffer.from('5678'),
+        topicIDs: ['made up', 'known/1']
+      }])
+
+      setTimeout(() => {
+        const stats = fsA.stats.toJSON()
+        expect(stats.totals.received).to.equal(received + 1)
+        expect(stats.topics).to.not.have.property('made up')
+        expect(stats.topics['known/1'].received).to.equal(1)
+        // and forwarded
+        expect(fsA._labelTopics({
+          from: fsB.libp2p.peerInfo.id.toB58String(),
+          topicIDs: ['made up', 'known/1']
+        })).to.eql(['known/1'])
+        fsA.unsubscribe('known/*')
+        done()
+      }, 50)
+    })
+
+    it('Publish with a ttl and drop the expired messages', (done) => {
+      fsA.subscribe('ttl')
+
+      setTimeout(() => {
+        fsA.once('ttl', (msg) => {
+          expect(msg.ttl).to.equal(60000)
+          expect(msg.timestamp).to.be.within(Date.now() - 60000, Date.now())
+
+          const rejected = fsA.stats.totals.rejected
+          fsA._processRpcMessages(fsB.libp2p.peerInfo.id.toB58String(), [{
+            from: fsB.libp2p.peerInfo.id.toB58String(),
+            data: Buffer.from('stale'),
+            seqno: Buffer.from('1234'),
+            topicIDs: ['ttl'],
+            timestamp: Date.now() - 2000,
+            ttl: 1000
+          }])
+
+          setTimeout(() => {
+            expect(fsA.stats.totals.expired).to.equal(1)
+            expect(fsA.stats.totals.rejected).to.equal(rejected)
+            fsA.unsubscribe('ttl')
+            done()
+          }, 50)
+        })
+
+        fsB.publish('ttl', Buffer.from('fresh'), { ttl: 60000, priority: 1 })
+      }, 100)
+    })
+
     it('Publish to a topic:Z in nodeA nodeB', (done) => {
       fsA.once('Z', shouldNotHappen)
       fsB.once('Z', shouldNotHappen)
@@ -203,6 +327,7 @@ describe('basics between 2 nodes', () => {
     let nodeB
     let fsA
     let fsB
+    const events = []
 
     before((done) => {
       series([
@@ -215,6 +340,12 @@ describe('basics between 2 nodes', () => {
         fsA = new FloodSub(nodeA)
         fsB = new FloodSub(nodeB)
 
+        const record = (event) => fsB.on(event, (...args) => events.push([event, ...args]))
+        record('peer:added')
+        record('peer:removed')
+        record('peer:subscribe')
+        record('peer:unsubscribe')
+
         parallel([
           (cb) => fsA.start(cb),
           (cb) => fsB.start(cb)
@@ -260,11 +391,37 @@ describe('basics between 2 nodes', () => {
       })
     })
 
+    it('emits the peer subscription changes', (done) => {
+      const idA = nodeA.peerInfo.id.toB58String()
+      expect(events).to.eql([
+        ['peer:added', idA],
+        ['peer:subscribe', idA, 'Za']
+      ])
+
+      fsA.unsubscribe('Za')
+      fsA.subscribe('Zc')
+
+      setTimeout(() => {
+        expect(events.slice(2)).to.eql([
+          ['peer:unsubscribe', idA, 'Za'],
+          ['peer:subscribe', idA, 'Zc']
+        ])
+        done()
+      }, 100)
+    })
+
     it('stop both FloodSubs', (done) => {
       parallel([
         (cb) => fsA.stop(cb),
         (cb) => fsB.stop(cb)
-      ], done)
+      ], () => {
+        const idA = nodeA.peerInfo.id.toB58String()
+        expect(events.slice(4)).to.eql([
+          ['peer:unsubscribe', idA, 'Zc'],
+          ['peer:removed', idA]
+        ])
+        done()
+      })
     })
   })
 
@@ -335,20 +492,39 @@ describe('basics between 2 nodes', () => {
     })
   })
 
-  describe('dial the pubsub protocol on mount', () => {
+  describe('peer scoring', () => {
     let nodeA
     let nodeB
     let fsA
     let fsB
+    let idB
 
     before((done) => {
       series([
         (cb) => createNode('/ip4/127.0.0.1/tcp/0', cb),
         (cb) => createNode('/ip4/127.0.0.1/tcp/0', cb)
-      ], (cb, nodes) => {
+      ], (err, nodes) => {
+        if (err) {
+          return done(err)
+        }
         nodeA = nodes[0]
         nodeB = nodes[1]
-        nodeA.dial(nodeB.peerInfo, () => setTimeout(done, 1000))
+        idB = nodeB.peerInfo.id.toB58String()
+
+        fsA = new FloodSub(nodeA, {
+          scoring: { ignoreThreshold: -15, disconnectThreshold: -35, decayInterval: 60000 }
+        })
+        fsB = new FloodSub(nodeB)
+
+        series([
+          (cb) => fsA.start(cb),
+          (cb) => fsB.start(cb),
+          (cb) => nodeA.dial(nodeB.peerInfo, cb),
+          (cb) => setTimeout(cb, 1000)
+        ], (err) => {
+          fsA.subscribe('scored')
+          setTimeout(() => done(err), 100)
+        })
       })
     })
 
@@ -359,20 +535,340 @@ describe('basics between 2 nodes', () => {
       ], done)
     })
 
-    it('dial on floodsub on mount', (done) => {
-      fsA = new FloodSub(nodeA)
-      fsB = new FloodSub(nodeB)
+    it('keeps scoring ignored peers until they are disconnected', (done) => {
+      const banned = []
+      fsA.on('peer:banned', (id) => banned.push(id))
+
+      // unsigned, one per rpc, -10 each
+      const invalid = (i, cb) => {
+        fsA._onRpc(idB, {
+          msgs: [{ from: idB, data: Buffer.from('bad'), seqno: Buffer.from('bad' + i), topicIDs: ['scored'] }]
+        })
+        setTimeout(cb, 50)
+      }
+
+      series(times(4, (i) => (cb) => invalid(i, cb)), () => {
+        expect(fsA.peers.get(idB)).to.not.exist()
+        expect(banned).to.eql([idB])
+        expect(fsA.isBanned(idB)).to.be.true()
+        fsA.removeAllListeners('peer:banned')
+        done()
+      })
+    })
+
+    it('refuses the connections of banned peers', (done) => {
+      nodeB.dialProtocol(nodeA.peerInfo, fsA.multicodec, (err) => {
+        expect(err).to.not.exist()
+        setTimeout(() => {
+          expect(fsA.peers.has(idB)).to.be.false()
+          done()
+        }, 200)
+      })
+    })
+
+    it('does not dial banned peers', (done) => {
+      fsA._dialPeer(nodeB.peerInfo, () => {
+        expect(fsA.peers.has(idB)).to.be.false()
+
+        fsA.unban(idB)
+        fsA._dialPeer(nodeB.peerInfo, (err) => {
+          expect(err).to.not.exist()
+          expect(fsA.peers.get(idB).isWritable).to.be.true()
+          done()
+        })
+      })
+    })
+
+    it('bans peers for a while', (done) => {
+      fsA.ban('QmOther', 20)
+      expect(fsA.isBanned('QmOther')).to.be.true()
+
+      setTimeout(() => {
+        expect(fsA.isBanned('QmOther')).to.be.false()
+        done()
+      }, 50)
+    })
 
+    it('stop both FloodSubs', (done) => {
       parallel([
-        (cb) => fsA.start(cb),
-        (cb) => fsB.start(cb)
-      ], next)
+        (cb) => fsA.stop(cb),
+        (cb) => fsB.stop(cb)
+      ], done)
+    })
+  })
 
-      function next () {
-        expect(fsA.peers.size).to.equal(1)
-        expect(fsB.peers.size).to.equal(1)
+  describe('rate limits', () => {
+    let nodeA
+    let nodeB
+    let fsA
+    let fsB
+    let idA
+
+    const publishMany = (count) => {
+      fsA.publish('limited', times(count, (i) => Buffer.from(String(i))))
+    }
+
+    before((done) => {
+      series([
+        (cb) => createNode('/ip4/127.0.0.1/tcp/0', cb),
+        (cb) => createNode('/ip4/127.0.0.1/tcp/0', cb)
+      ], (err, nodes) => {
+        if (err) {
+          return done(err)
+        }
+        nodeA = nodes[0]
+        nodeB = nodes[1]
+        idA = nodeA.peerInfo.id.toB58String()
+
+        fsA = new FloodSub(nodeA)
+        fsB = new FloodSub(nodeB, { rateLimit: { topic: { messages: 2 } } })
+
+        series([
+          (cb) => fsA.start(cb),
+          (cb) => fsB.start(cb),
+          (cb) => nodeA.dial(nodeB.peerInfo, cb),
+          (cb) => setTimeout(cb, 1000)
+        ], (err) => {
+          fsB.subscribe('limited')
+          setTimeout(() => done(err), 100)
+        })
+      })
+    })
+
+    after((done) => {
+      parallel([
+        (cb) => nodeA.stop(cb),
+        (cb) => nodeB.stop(cb)
+      ], done)
+    })
+
+    it('drops the messages over the limits', (done) => {
+      const events = []
+      let received = 0
+      fsB.on('throttled', (event) => events.push(event))
+      fsB.on('limited', () => received++)
+
+      publishMany(5)
+
+      setTimeout(() => {
+        expect(received).to.equal(2)
+        expect(events).to.have.length(3)
+        expect(events[0]).to.eql({ peer: idA, topic: 'limited', limit: 'messages', action: 'drop' })
+        fsB.removeAllListeners('throttled')
+        fsB.removeAllListeners('limited')
+        done()
+      }, 500)
+    })
+
+    it('delays the messages over the limits', (done) => {
+      fsB.rateLimiter = new RateLimiter({ peer: { messages: 4 }, action: 'delay' })
+
+      let received = 0
+      const start = Date.now()
+      fsB.once('throttled', (event) => {
+        expect(event).to.eql({ peer: idA, topic: null, limit: 'messages', action: 'delay' })
+      })
+      fsB.on('limited', () => {
+        if (++received < 8) {
+          return
+        }
+
+        // 4 messages short, at 4 per second
+        expect(Date.now() - start).to.be.at.least(900)
+        fsB.removeAllListeners('limited')
         done()
+      })
+
+      publishMany(8)
+    })
+
+    it('disconnects and bans the peers over the limits', (done) => {
+      fsB.rateLimiter = new RateLimiter({ peer: { messages: 4 }, action: 'disconnect' })
+
+      fsB.once('throttled', (event) => {
+        expect(event.action).to.equal('disconnect')
+      })
+      fsB.once('limited', shouldNotHappen)
+
+      publishMany(8)
+
+      setTimeout(() => {
+        expect(fsB.isBanned(idA)).to.be.true()
+        expect(fsB.peers.has(idA)).to.be.false()
+        fsB.removeListener('limited', shouldNotHappen)
+        done()
+      }, 500)
+    })
+
+    it('stop both FloodSubs', (done) => {
+      parallel([
+        (cb) => fsA.stop(cb),
+        (cb) => fsB.stop(cb)
+      ], done)
+    })
+  })
+
+  describe('encrypted topics', () => {
+    let nodeA
+    let nodeB
+    let fsA
+    let fsB
+    const key = Buffer.alloc(32, 7)
+    const descriptor = {
+      name: 'secret',
+      enc: {
+        mode: encrypt.EncMode.SHAREDKEY,
+        keyHashes: [encrypt.keyHash('secret', key)]
       }
+    }
+
+    before((done) => {
+      series([
+        (cb) => createNode('/ip4/127.0.0.1/tcp/0', cb),
+        (cb) => createNode('/ip4/127.0.0.1/tcp/0', cb)
+      ], (err, nodes) => {
+        if (err) {
+          return done(err)
+        }
+        nodeA = nodes[0]
+        nodeB = nodes[1]
+
+        fsA = new FloodSub(nodeA)
+        fsB = new FloodSub(nodeB)
+
+        series([
+          (cb) => fsA.start(cb),
+          (cb) => fsB.start(cb),
+          (cb) => nodeA.dial(nodeB.peerInfo, cb),
+          (cb) => setTimeout(cb, 1000)
+        ], (err) => {
+          fsA.addTopicDescriptor(descriptor)
+          fsB.addTopicDescriptor(descriptor)
+          fsA.subscribe('secret')
+          fsB.subscribe('secret')
+          setTimeout(() => done(err), 100)
+        })
+      })
+    })
+
+    after((done) => {
+      parallel([
+        (cb) => nodeA.stop(cb),
+        (cb) => nodeB.stop(cb)
+      ], done)
+    })
+
+    it('fails to publish without the topic key', (done) => {
+      fsA.publish('secret', Buffer.from('hush'), (err) => {
+        expect(err).to.exist()
+        done()
+      })
+    })
+
+    it('does not emit messages it can not decrypt', (done) => {
+      fsA.addTopicKey('secret', key)
+      fsB.once('secret', shouldNotHappen)
+
+      fsA.publish('secret', Buffer.from('hush'), (err) => {
+        expect(err).to.not.exist()
+        setTimeout(() => {
+          fsB.removeListener('secret', shouldNotHappen)
+          done()
+        }, 100)
+      })
+    })
+
+    it('decrypts messages with the topic key', (done) => {
+      fsB.addTopicKey('secret', key)
+
+      fsA.once('secret', (msg) => {
+        expect(msg.data.toString()).to.equal('hush')
+      })
+
+      fsB.once('secret', (msg) => {
+        expect(msg.data.toString()).to.equal('hush')
+        expect(msg.keyHash).to.eql(descriptor.enc.keyHashes[0])
+        done()
+      })
+
+      fsA.publish('secret', Buffer.from('hush'))
+    })
+
+    it('stop both FloodSubs', (done) => {
+      parallel([
+        (cb) => fsA.stop(cb),
+        (cb) => fsB.stop(cb)
+      ], done)
+    })
+  })
+
+  describe('authorized topics', () => {
+    let nodeA
+    let nodeB
+    let fsA
+    let fsB
+    let descriptor
+
+    before((done) => {
+      series([
+        (cb) => createNode('/ip4/127.0.0.1/tcp/0', cb),
+        (cb) => createNode('/ip4/127.0.0.1/tcp/0', cb)
+      ], (err, nodes) => {
+        if (err) {
+          return done(err)
+        }
+        nodeA = nodes[0]
+        nodeB = nodes[1]
+
+        fsA = new FloodSub(nodeA, { strictSigning: false })
+        fsB = new FloodSub(nodeB)
+        descriptor = {
+          name: 'auth',
+          auth: { mode: AuthMode.KEY, keys: [nodeB.peerInfo.id.pubKey.bytes] }
+        }
+
+        series([
+          (cb) => fsA.start(cb),
+          (cb) => fsB.start(cb),
+          (cb) => nodeA.dial(nodeB.peerInfo, cb),
+          (cb) => setTimeout(cb, 1000)
+        ], (err) => {
+          fsA.addTopicDescriptor(descriptor)
+          fsB.addTopicDescriptor(descriptor)
+          fsA.subscribe('auth')
+          setTimeout(() => done(err), 100)
+        })
+      })
+    })
+
+    after((done) => {
+      parallel([
+        (cb) => nodeA.stop(cb),
+        (cb) => nodeB.stop(cb)
+      ], done)
+    })
+
+    it('accepts the messages signed with an authorized key', (done) => {
+      fsA.once('auth', (msg) => {
+        expect(msg.data.toString()).to.equal('hi')
+        done()
+      })
+
+      fsB.publish('auth', Buffer.from('hi'))
+    })
+
+    it('rejects unsigned messages carrying an authorized key', (done) => {
+      fsA._validateMessage({
+        from: 'QmAttacker',
+        data: Buffer.from('hi'),
+        seqno: Buffer.from('1234'),
+        topicIDs: ['auth'],
+        key: nodeB.peerInfo.id.pubKey.bytes
+      }, (err) => {
+        expect(err).to.exist()
+        expect(err.message).to.match(/not authorized/)
+        done()
+      })
     })
 
     it('stop both FloodSubs', (done) => {
@@ -382,6 +878,614 @@ describe('basics between 2 nodes', () => {
       ], done)
     })
   })
+
+  describe('dial the pubsub protocol on mount', () => {
+    let nodeA
+    let nodeB
+    let fsA
+    let fsB
+
+    before((done) => {
+      series([
+        (cb) => createNode('/ip4/127.0.0.1/tcp/0', cb),
+        (cb) => createNode('/ip4/127.0.0.1/tcp/0', cb)
+      ], (cb, nodes) => {
+        nodeA = nodes[0]
+        nodeB = nodes[1]
+        nodeA.dial(nodeB.peerInfo, () => setTimeout(done, 1000))
+      })
+    })
+
+    after((done) => {
+      parallel([
+        (cb) => nodeA.stop(cb),
+        (cb) => nodeB.stop(cb)
+      ], done)
+    })
+
+    it('dial on floodsub on mount', (done) => {
+      fsA = new FloodSub(nodeA)
+      fsB = new FloodSub(nodeB)
+
+      parallel([
+        (cb) => fsA.start(cb),
+        (cb) => fsB.start(cb)
+      ], next)
+
+      function next () {
+        expect(fsA.peers.size).to.equal(1)
+        expect(fsB.peers.size).to.equal(1)
+        done()
+      }
+    })
+
+    it('stop both FloodSubs', (done) => {
+      parallel([
+        (cb) => fsA.stop(cb),
+        (cb) => fsB.stop(cb)
+      ], done)
+    })
+  })
+
+  describe('reliable delivery', () => {
+    let nodeA
+    let nodeB
+    let fsA
+    let fsB
+
+    before((done) => {
+      series([
+        (cb) => createNode('/ip4/127.0.0.1/tcp/0', cb),
+        (cb) => createNode('/ip4/127.0.0.1/tcp/0', cb)
+      ], (err, nodes) => {
+        if (err) {
+          return done(err)
+        }
+        nodeA = nodes[0]
+        nodeB = nodes[1]
+
+        fsA = new FloodSub(nodeA, { reliable: { topics: ['critical'], backoff: 100 } })
+        fsB = new FloodSub(nodeB)
+
+        series([
+          (cb) => fsA.start(cb),
+          (cb) => fsB.start(cb),
+          (cb) => nodeA.dial(nodeB.peerInfo, cb),
+          (cb) => setTimeout(cb, 1000)
+        ], (err) => {
+          fsB.subscribe(['critical', 'other'])
+          setTimeout(() => done(err), 100)
+        })
+      })
+    })
+
+    after((done) => {
+      parallel([
+        (cb) => nodeA.stop(cb),
+        (cb) => nodeB.stop(cb)
+      ], done)
+    })
+
+    it('resolves with the acknowledgements of the peers', (done) => {
+      fsB.once('critical', (msg) => {
+        expect(msg.data.toString()).to.equal('order')
+        expect(msg.reliable).to.be.true()
+      })
+
+      fsA.publish('critical', Buffer.from('order'), (err, results) => {
+        expect(err).to.not.exist()
+        expect(results).to.have.length(1)
+        expect(results[0].peer).to.equal(nodeB.peerInfo.id.toB58String())
+        expect(results[0].status).to.equal('delivered')
+        expect(fsA.reliable.pending.size).to.equal(0)
+        done()
+      })
+    })
+
+    it('sends the unacknowledged messages again', (done) => {
+      // the first acknowledgement is lost
+      const ackMessages = fsB._ackMessages
+      fsB._ackMessages = () => {
+        fsB._ackMessages = ackMessages
+      }
+
+      let received = 0
+      fsB.on('other', () => received++)
+
+      fsA.publish('other', Buffer.from('order'), { reliable: true }, (err, results) => {
+        expect(err).to.not.exist()
+        expect(results[0].status).to.equal('delivered')
+        expect(results[0].attempts).to.equal(2)
+        // the copy was a duplicate
+        expect(received).to.equal(1)
+        expect(fsA.stats.totals.retransmitted).to.equal(1)
+        fsB.removeAllListeners('other')
+        fsB.unsubscribe('other')
+        setTimeout(done, 100)
+      })
+    })
+
+    it('reports the messages filtered by the hooks', (done) => {
+      const hook = (peer, msg, cb) => cb(null, false)
+      fsA.addFrwdHook('critical', hook)
+
+      fsA.publish('critical', Buffer.from('order'), (err, results) => {
+        expect(err).to.not.exist()
+        expect(results[0].status).to.equal('filtered')
+        fsA.removeFrwdHook('critical', hook)
+        done()
+      })
+    })
+
+    it('runs the hooks of the message topics for pattern subscribers', (done) => {
+      const hook = (peer, msg, cb) => cb(null, false)
+      fsA.addFrwdHook('orders/eu', hook)
+      fsB.subscribe('orders/#')
+      fsB.once('orders/#', shouldNotHappen)
+
+      setTimeout(() => {
+        fsA.publish('orders/eu', Buffer.from('order'), { reliable: true }, (err, results) => {
+          expect(err).to.not.exist()
+          expect(results).to.have.length(1)
+          expect(results[0].status).to.equal('filtered')
+          fsA.removeFrwdHook('orders/eu', hook)
+          fsB.removeListener('orders/#', shouldNotHappen)
+          fsB.unsubscribe('orders/#')
+          done()
+        })
+      }, 100)
+    })
+
+    it('stop both FloodSubs', (done) => {
+      parallel([
+        (cb) => fsA.stop(cb),
+        (cb) => fsB.stop(cb)
+      ], done)
+    })
+  })
+
+  describe('ordered messages', () => {
+    let nodeA
+    let nodeB
+    let fsA
+    let fsB
+
+    before((done) => {
+      series([
+        (cb) => createNode('/ip4/127.0.0.1/tcp/0', cb),
+        (cb) => createNode('/ip4/127.0.0.1/tcp/0', cb)
+      ], (err, nodes) => {
+        if (err) {
+          return done(err)
+        }
+        nodeA = nodes[0]
+        nodeB = nodes[1]
+
+        fsA = new FloodSub(nodeA, { ordering: { topics: ['ordered'] } })
+        fsB = new FloodSub(nodeB, { ordering: { window: 100 } })
+
+        series([
+          (cb) => fsA.start(cb),
+          (cb) => fsB.start(cb),
+          (cb) => nodeA.dial(nodeB.peerInfo, cb),
+          (cb) => setTimeout(cb, 1000)
+        ], (err) => {
+          fsB.subscribe('ordered')
+          setTimeout(() => done(err), 100)
+        })
+      })
+    })
+
+    after((done) => {
+      parallel([
+        (cb) => nodeA.stop(cb),
+        (cb) => nodeB.stop(cb)
+      ], done)
+    })
+
+    it('numbers the messages of each publisher', (done) => {
+      const received = []
+      fsB.on('ordered', (msg) => {
+        received.push(msg)
+        if (received.length < 3) {
+          return
+        }
+
+        fsB.removeAllListeners('ordered')
+        expect(received.map((msg) => msg.data.toString())).to.eql(['1', '2', '3'])
+        expect(received[1].sequence).to.equal(received[0].sequence + 1)
+        expect(received[2].sequence).to.equal(received[1].sequence + 1)
+        done()
+      })
+
+      fsA.publish('ordered', ['1', '2', '3'].map((d) => Buffer.from(d)))
+    })
+
+    it('reports the missing messages', (done) => {
+      // as if the next one got lost
+      const lost = fsA.sequences.get('ordered') + 1
+      fsA.sequences.set('ordered', lost)
+
+      fsB.once('message:gap', (gap) => {
+        expect(gap).to.eql({
+          from: nodeA.peerInfo.id.toB58String(),
+          topic: 'ordered',
+          first: lost,
+          last: lost
+        })
+
+        fsB.once('ordered', (msg) => {
+          expect(msg.data.toString()).to.equal('after the gap')
+          done()
+        })
+      })
+
+      fsA.publish('ordered', Buffer.from('after the gap'))
+    })
+
+    it('only orders messages on a single topic', (done) => {
+      fsA.publish(['ordered', 'other'], Buffer.from('both'), (err) => {
+        expect(err).to.exist()
+        done()
+      })
+    })
+
+    it('stop both FloodSubs', (done) => {
+      parallel([
+        (cb) => fsA.stop(cb),
+        (cb) => fsB.stop(cb)
+      ], done)
+    })
+  })
+
+  describe('compressed frames', () => {
+    let nodeA
+    let nodeB
+    let nodeC
+    let fsA
+    let fsB
+    let fsC
+
+    before((done) => {
+      series([
+        (cb) => createNode('/ip4/127.0.0.1/tcp/0', cb),
+        (cb) => createNode('/ip4/127.0.0.1/tcp/0', cb),
+        (cb) => createNode('/ip4/127.0.0.1/tcp/0', cb)
+      ], (err, nodes) => {
+        if (err) {
+          return done(err)
+        }
+        nodeA = nodes[0]
+        nodeB = nodes[1]
+        nodeC = nodes[2]
+
+        fsA = new FloodSub(nodeA, { compression: { threshold: 64 } })
+        fsB = new FloodSub(nodeB, { compression: true })
+        fsC = new FloodSub(nodeC)
+
+        series([
+          (cb) => fsA.start(cb),
+          (cb) => fsB.start(cb),
+          (cb) => fsC.start(cb),
+          (cb) => nodeA.dial(nodeB.peerInfo, cb),
+          (cb) => nodeA.dial(nodeC.peerInfo, cb),
+          (cb) => setTimeout(cb, 1000)
+        ], done)
+      })
+    })
+
+    after((done) => {
+      parallel([
+        (cb) => nodeA.stop(cb),
+        (cb) => nodeB.stop(cb),
+        (cb) => nodeC.stop(cb)
+      ], done)
+    })
+
+    it('negotiates compression with the peers speaking it', () => {
+      const peerB = fsA.peers.get(nodeB.peerInfo.id.toB58String())
+      const peerC = fsA.peers.get(nodeC.peerInfo.id.toB58String())
+      expect(peerB.protocol).to.equal('/multicast/0.0.1+deflate')
+      expect(peerC.protocol).to.equal('/multicast/0.0.1')
+      expect(fsC.peers.get(nodeA.peerInfo.id.toB58String()).protocol).to.equal('/multicast/0.0.1')
+    })
+
+    it('delivers the messages to both', (done) => {
+      const data = Buffer.from(JSON.stringify(times(20, () => ({ key: 'value' }))))
+      const bytesOut = (id) => fsA.stats.toJSON().peers[id].bytesOut
+      const idB = nodeB.peerInfo.id.toB58String()
+      const idC = nodeC.peerInfo.id.toB58String()
+
+      fsB.subscribe('Z')
+      fsC.subscribe('Z')
+
+      setTimeout(() => {
+        const before = [bytesOut(idB), bytesOut(idC)]
+
+        parallel([
+          (cb) => fsB.once('Z', (msg) => cb(null, msg)),
+          (cb) => fsC.once('Z', (msg) => cb(null, msg))
+        ], (err, msgs) => {
+          expect(err).to.not.exist()
+          msgs.forEach((msg) => expect(msg.data).to.eql(data))
+
+          // the same message takes fewer bytes deflated
+          expect(bytesOut(idB) - before[0]).to.be.below(bytesOut(idC) - before[1])
+          done()
+        })
+
+        fsA.publish('Z', data)
+      }, 100)
+    })
+
+    it('stop the FloodSubs', (done) => {
+      parallel([
+        (cb) => fsA.stop(cb),
+        (cb) => fsB.stop(cb),
+        (cb) => fsC.stop(cb)
+      ], done)
+    })
+  })
+
+  describe('api', () => {
+    let nodeA
+    let nodeB
+    let apiA
+    let apiB
+
+    before((done) => {
+      series([
+        (cb) => createNode('/ip4/127.0.0.1/tcp/0', cb),
+        (cb) => createNode('/ip4/127.0.0.1/tcp/0', cb)
+      ], (err, nodes) => {
+        if (err) {
+          return done(err)
+        }
+        nodeA = nodes[0]
+        nodeB = nodes[1]
+
+        apiA = api(nodeA)
+        apiB = api(nodeB)
+        done()
+      })
+    })
+
+    after((done) => {
+      parallel([
+        (cb) => nodeA.stop(cb),
+        (cb) => nodeB.stop(cb)
+      ], done)
+    })
+
+    it('starts with promises', () => {
+      return Promise.all([nodeA._multicast.start(), nodeB._multicast.start()])
+        .then(() => new Promise((resolve, reject) => {
+          nodeA.dial(nodeB.peerInfo, (err) => err ? reject(err) : resolve())
+        }))
+        .then(() => new Promise((resolve) => setTimeout(resolve, 1000)))
+        .then(() => expect(nodeA._multicast.peers.size).to.equal(1))
+    })
+
+    it('subscribes and publishes with callbacks', (done) => {
+      const handler = (msg) => {
+        expect(msg.data.toString()).to.equal('callback')
+        apiB.unsubscribe('cb', handler, (err) => {
+          expect(err).to.not.exist()
+          done()
+        })
+      }
+
+      apiB.subscribe('cb', handler, (err) => {
+        expect(err).to.not.exist()
+        setTimeout(() => {
+          apiA.publish('cb', Buffer.from('callback'), (err) => {
+            expect(err).to.not.exist()
+          })
+        }, 100)
+      })
+    })
+
+    it('subscribes and publishes with promises', () => {
+      let handler
+      const received = new Promise((resolve) => {
+        handler = resolve
+      })
+
+      return apiB.subscribe('promise', handler)
+        .then(() => apiB.ls())
+        .then((topics) => expect(topics).to.include('promise'))
+        .then(() => new Promise((resolve) => setTimeout(resolve, 100)))
+        .then(() => apiA.peers('promise'))
+        .then((peers) => expect(peers).to.eql([nodeB.peerInfo.id.toB58String()]))
+        .then(() => apiA.publish('promise', Buffer.from('promise')))
+        .then(() => received)
+        .then((msg) => {
+          expect(msg.data.toString()).to.equal('promise')
+          return apiB.unsubscribe('promise', handler)
+        })
+        .then(() => apiB.ls())
+        .then((topics) => expect(topics).to.not.include('promise'))
+    })
+
+    it('unsubscribes a handler as many times as it subscribed', () => {
+      const handler = () => {}
+
+      return apiB.subscribe('twice', handler)
+        .then(() => apiB.subscribe('twice', handler))
+        .then(() => expect(nodeB._multicast.listenerCount('twice')).to.equal(2))
+        .then(() => apiB.unsubscribe('twice', handler))
+        .then(() => expect(nodeB._multicast.listenerCount('twice')).to.equal(1))
+        .then(() => apiB.unsubscribe('twice', handler))
+        .then(() => expect(nodeB._multicast.listenerCount('twice')).to.equal(0))
+        .then(() => apiB.ls())
+        .then((topics) => expect(topics).to.not.include('twice'))
+    })
+
+    it('unsubscribes handlers it does not know without throwing', () => {
+      return apiB.unsubscribe('unknown', () => {})
+    })
+
+    it('rejects the calls it can not fulfil', () => {
+      return apiA.publish('Z', 'not a buffer')
+        .then(() => expect.fail())
+        .catch((err) => expect(err.message).to.equal('data must be a Buffer'))
+    })
+
+    it('encodes and decodes the data with the topic codec', (done) => {
+      apiA.setTopicCodec('json', 'json')
+      apiB.setTopicCodec('json', 'json')
+
+      const handler = (msg) => {
+        expect(msg.data).to.eql({ fruit: 'banana', count: 2 })
+        apiB.unsubscribe('json', handler, done)
+      }
+
+      apiB.subscribe('json', handler, (err) => {
+        expect(err).to.not.exist()
+        setTimeout(() => apiA.publish('json', { fruit: 'banana', count: 2 }), 100)
+      })
+    })
+
+    it('emits the messages failing to decode as errors', (done) => {
+      const stop = apiB.onMessageError((err, msg) => {
+        expect(err).to.be.an.instanceof(SyntaxError)
+        expect(msg.data.toString()).to.equal('not json')
+        stop()
+        apiB.unsubscribe('json', shouldNotHappen, done)
+      })
+
+      apiB.subscribe('json', shouldNotHappen, (err) => {
+        expect(err).to.not.exist()
+        setTimeout(() => apiA.publish('json', Buffer.from('not json'), { codec: 'raw' }), 100)
+      })
+    })
+
+    it('reports the stats', () => {
+      return apiA.stats()
+        .then((stats) => {
+          expect(stats.totals.published).to.be.above(0)
+          expect(stats.seenCache).to.include.keys('hits', 'misses', 'hitRate')
+          return apiA.stats({ format: 'prometheus' })
+        })
+        .then((text) => expect(text).to.match(/^libp2p_multicast_published_total [1-9]/m))
+    })
+
+    it('stops with promises', () => {
+      return Promise.all([nodeA._multicast.stop(), nodeB._multicast.stop()])
+        .then(() => expect(nodeA._multicast.started).to.be.false())
+    })
+  })
+
+  describe('floodsub interop', () => {
+    let nodeA
+    let nodeB
+    let fsA
+    let floodsubHandler
+
+    before((done) => {
+      series([
+        (cb) => createNode('/ip4/127.0.0.1/tcp/0', cb),
+        (cb) => createNode('/ip4/127.0.0.1/tcp/0', cb)
+      ], (err, nodes) => {
+        if (err) {
+          return done(err)
+        }
+        nodeA = nodes[0]
+        nodeB = nodes[1]
+
+        // nodeB only has the floodsub libp2p comes with
+        floodsubHandler = nodeA.switch.protocols[FloodSub.FLOODSUB_CODEC]
+        fsA = new FloodSub(nodeA, { floodsub: true, strictSigning: false })
+
+        series([
+          (cb) => fsA.start(cb),
+          (cb) => nodeA.dial(nodeB.peerInfo, cb),
+          (cb) => setTimeout(cb, 1000)
+        ], done)
+      })
+    })
+
+    after((done) => {
+      parallel([
+        (cb) => nodeA.stop(cb),
+        (cb) => nodeB.stop(cb)
+      ], done)
+    })
+
+    it('falls back to floodsub with floodsub peers', () => {
+      const peer = fsA.peers.get(nodeB.peerInfo.id.toB58String())
+      expect(peer.protocol).to.equal(FloodSub.FLOODSUB_CODEC)
+      expect(peer.isWritable).to.be.true()
+    })
+
+    it('bridges messages both ways', (done) => {
+      fsA.subscribe('Z')
+      nodeB.pubsub.subscribe('Z', (msg) => {
+        // floodsub emits its own messages as well
+        if (msg.from !== nodeA.peerInfo.id.toB58String()) {
+          return
+        }
+
+        expect(msg.data.toString()).to.equal('from multicast')
+
+        fsA.once('Z', (msg) => {
+          expect(msg.data.toString()).to.equal('from floodsub')
+          expect(msg.hops).to.equal(-1)
+          done()
+        })
+        nodeB.pubsub.publish('Z', Buffer.from('from floodsub'), () => {})
+      }, () => {
+        setTimeout(() => fsA.publish('Z', Buffer.from('from multicast'), 2), 100)
+      })
+    })
+
+    it('only sends floodsub peers the messages they understand', (done) => {
+      fsA.subscribe('direct')
+      nodeB.pubsub.subscribe('direct', shouldNotHappen, () => {
+        setTimeout(() => {
+          fsA.publish('direct', Buffer.from('hush'), { to: nodeB.peerInfo.id.toB58String() }, (err) => {
+            expect(err).to.not.exist()
+            setTimeout(() => {
+              nodeB.pubsub.unsubscribe('direct', shouldNotHappen)
+              done()
+            }, 100)
+          })
+        }, 100)
+      })
+    })
+
+    it('stop the multicast', (done) => {
+      fsA.stop((err) => {
+        expect(err).to.not.exist()
+        // the floodsub of nodeA gets its connections back
+        const handler = nodeA.switch.protocols[FloodSub.FLOODSUB_CODEC]
+        expect(handler.handlerFunc).to.equal(floodsubHandler.handlerFunc)
+        done()
+      })
+    })
+
+    it('starts on a libp2p without a switch', (done) => {
+      const handled = []
+      const libp2p = {
+        peerInfo: nodeA.peerInfo,
+        peerBook: { getAll: () => ({}) },
+        handle: (protocol) => handled.push(protocol),
+        unhandle: () => {},
+        on: () => {},
+        removeListener: () => {}
+      }
+      const fs = new FloodSub(libp2p, { floodsub: true })
+
+      series([
+        (cb) => fs.start(cb),
+        (cb) => fs.stop(cb)
+      ], (err) => {
+        expect(err).to.not.exist()
+        expect(handled).to.include(FloodSub.FLOODSUB_CODEC)
+        done()
+      })
+    })
+  })
 })
 
 function shouldNotHappen (msg) {
@@ -0,0 +1,82 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+const crypto = require('libp2p-crypto')
+const series = require('async/series')
+
+const auth = require('../src/auth')
+const AuthMode = auth.AuthMode
+
+describe('auth', () => {
+  let root
+  let publisher
+  let delegate
+
+  before((done) => {
+    const generate = (cb) => crypto.keys.generateKeyPair('ed25519', 256, cb)
+    series([generate, generate, generate], (err, keys) => {
+      expect(err).to.not.exist()
+      root = keys[0]
+      publisher = keys[1]
+      delegate = keys[2]
+      done()
+    })
+  })
+
+  it('allows anyone without auth options', () => {
+    expect(auth.isAuthorized({ name: 'Z' }, null)).to.be.true()
+    expect(auth.isAuthorized({
+      name: 'Z',
+      auth: { mode: AuthMode.NONE }
+    }, null)).to.be.true()
+  })
+
+  it('KEY mode only allows the listed keys', () => {
+    const descriptor = {
+      name: 'Z',
+      auth: { mode: AuthMode.KEY, keys: [root.public.bytes] }
+    }
+
+    expect(auth.isAuthorized(descriptor, root.public.bytes)).to.be.true()
+    expect(auth.isAuthorized(descriptor, publisher.public.bytes)).to.be.false()
+    expect(auth.isAuthorized(descriptor, null)).to.be.false()
+  })
+
+  it('WOT mode follows certificate chains to a root key', (done) => {
+    const descriptor = {
+      name: 'Z',
+      auth: { mode: AuthMode.WOT, keys: [root.public.bytes] }
+    }
+
+    series([
+      (cb) => auth.createCertificate(root, 'Z', delegate.public.bytes, cb),
+      (cb) => auth.createCertificate(delegate, 'Z', publisher.public.bytes, cb)
+    ], (err, certs) => {
+      expect(err).to.not.exist()
+
+      expect(auth.isAuthorized(descriptor, publisher.public.bytes, [])).to.be.false()
+      expect(auth.isAuthorized(descriptor, publisher.public.bytes, certs.slice(1))).to.be.false()
+      expect(auth.isAuthorized(descriptor, publisher.public.bytes, certs)).to.be.true()
+      done()
+    })
+  })
+
+  it('verifies certificates', (done) => {
+    auth.createCertificate(root, 'Z', publisher.public.bytes, (err, cert) => {
+      expect(err).to.not.exist()
+
+      auth.verifyCertificate(cert, (err) => {
+        expect(err).to.not.exist()
+
+        cert.topic = 'Y'
+        auth.verifyCertificate(cert, (err) => {
+          expect(err).to.exist()
+          done()
+        })
+      })
+    })
+  })
+})
@@ -0,0 +1,55 @@
+/* eslint-env mocha */
+'use strict'
+
+const expect = require('chai').expect
+
+const Codecs = require('../src/codecs')
+
+describe('payload codecs', () => {
+  it('round trips the built-in codecs', () => {
+    const codecs = new Codecs()
+    const value = { a: 1, b: [true, 'two'] }
+
+    expect(codecs.get('json').decode(codecs.get('json').encode(value))).to.eql(value)
+    expect(codecs.get('cbor').decode(codecs.get('cbor').encode(value))).to.eql(value)
+    expect(codecs.get('string').decode(codecs.get('string').encode('héllo'))).to.equal('héllo')
+
+    const data = Buffer.from('raw')
+    expect(codecs.get('raw').encode(data)).to.equal(data)
+    expect(() => codecs.get('raw').encode('raw')).to.throw('data must be a Buffer')
+  })
+
+  it('throws on malformed data', () => {
+    const codecs = new Codecs()
+    expect(() => codecs.get('json').decode(Buffer.from('{'))).to.throw()
+    expect(() => codecs.get('cbor').decode(Buffer.from([0xff]))).to.throw()
+  })
+
+  it('registers codecs', () => {
+    const codecs = new Codecs()
+    const hex = {
+      encode: (value) => Buffer.from(value, 'hex'),
+      decode: (data) => data.toString('hex')
+    }
+
+    codecs.register('hex', hex)
+    expect(codecs.get('hex')).to.equal(hex)
+    expect(codecs.get(hex)).to.equal(hex)
+    expect(() => codecs.register('bad', {})).to.throw()
+    expect(() => codecs.get('unknown')).to.throw('unknown codec unknown')
+  })
+
+  it('picks the codec of the call, the topic or its patterns', () => {
+    const codecs = new Codecs()
+    codecs.setTopic('a', 'json')
+    codecs.setTopic('b/#', 'cbor')
+
+    expect(codecs.pick('a')).to.equal(Codecs.builtins.json)
+    expect(codecs.pick(['b/c', 'a'])).to.equal(Codecs.builtins.cbor)
+    expect(codecs.pick('a', 'string')).to.equal(Codecs.builtins.string)
+    expect(codecs.pick('c')).to.equal(Codecs.builtins.raw)
+
+    codecs.removeTopic('a')
+    expect(codecs.pick('a')).to.equal(Codecs.builtins.raw)
+  })
+})
@@ -0,0 +1,61 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const compressed = require('../src/compression')
+const pb = require('../src/message')
+
+const rpc = (data) => ({
+  msgs: [{
+    from: Buffer.from('from'),
+    data: Buffer.from(data),
+    seqno: Buffer.from('seqno'),
+    topicIDs: ['Z']
+  }]
+})
+
+describe('compression', () => {
+  const codec = compressed(pb.rpc.RPC, { threshold: 100 })
+
+  it('sends small frames as is', (done) => {
+    const frame = codec.encode(rpc('small'))
+    expect(frame[0]).to.equal(0)
+    expect(frame.slice(1)).to.eql(pb.rpc.RPC.encode(rpc('small')))
+    codec.decode(frame, (err, decoded) => {
+      expect(err).to.not.exist()
+      expect(decoded.msgs[0].data.toString()).to.equal('small')
+      done()
+    })
+  })
+
+  it('deflates the frames above the threshold', (done) => {
+    const data = JSON.stringify(new Array(50).fill({ key: 'value' }))
+    const frame = codec.encode(rpc(data))
+    expect(frame[0]).to.equal(1)
+    expect(frame.length).to.be.below(pb.rpc.RPC.encode(rpc(data)).length)
+    codec.decode(frame, (err, decoded) => {
+      expect(err).to.not.exist()
+      expect(decoded.msgs[0].data.toString()).to.equal(data)
+      done()
+    })
+  })
+
+  it('rejects unknown flags', (done) => {
+    codec.decode(Buffer.from([7, 0]), (err) => {
+      expect(err.message).to.equal('unknown frame flag 7')
+      done()
+    })
+  })
+
+  it('stops inflating oversized frames', (done) => {
+    const small = compressed(pb.rpc.RPC, { threshold: 0, maxSize: 100 })
+    const frame = small.encode(rpc(Buffer.alloc(1024 * 1024).toString()))
+    small.decode(frame, (err) => {
+      expect(err.message).to.equal('inflated frame is too big')
+      done()
+    })
+  })
+})
@@ -0,0 +1,92 @@
+/* eslint-env mocha */
+'use strict'
+
+const expect = require('chai').expect
+
+const fragments = require('../src/fragments')
+const Reassembler = fragments.Reassembler
+
+const fragmentsOf = (id, data, size) => {
+  const pieces = fragments.split(Buffer.from(data), size)
+  return pieces.map((piece, index) => ({
+    from: 'QmA',
+    data: piece,
+    seqno: Buffer.from(id + index),
+    topicIDs: ['Z'],
+    signature: Buffer.from('sig'),
+    fragmentId: Buffer.from(id),
+    fragmentIndex: index,
+    fragmentCount: pieces.length
+  }))
+}
+
+describe('fragments', () => {
+  it('splits data in fixed size fragments', () => {
+    const data = Buffer.from('abcdefghij')
+    expect(fragments.split(data, 4).map((f) => f.toString())).to.eql(['abcd', 'efgh', 'ij'])
+    expect(fragments.split(data, 10)).to.eql([data])
+    expect(fragments.split(data, 0)).to.eql([data])
+  })
+
+  it('reassembles the fragments in any order', () => {
+    const reassembler = new Reassembler()
+    const frags = fragmentsOf('m1', 'abcdefghij', 4)
+
+    expect(reassembler.add(frags[2])).to.equal(null)
+    expect(reassembler.add(frags[0])).to.equal(null)
+    // duplicates are ignored
+    expect(reassembler.add(frags[0])).to.equal(null)
+
+    const msg = reassembler.add(frags[1])
+    expect(msg.data.toString()).to.equal('abcdefghij')
+    expect(msg.seqno.toString()).to.equal('m1')
+    expect(msg.topicIDs).to.eql(['Z'])
+    expect(msg).to.not.have.property('fragmentId')
+    expect(msg).to.not.have.property('signature')
+    expect(reassembler.pending.size).to.equal(0)
+    expect(reassembler.size).to.equal(0)
+  })
+
+  it('drops the messages not complete in time', (done) => {
+    const reassembler = new Reassembler({ timeout: 20 })
+    reassembler.on('drop', (info) => {
+      expect(info.reason).to.equal('timeout')
+      expect(info.received).to.equal(1)
+      expect(info.count).to.equal(3)
+      expect(reassembler.pending.size).to.equal(0)
+      done()
+    })
+
+    reassembler.add(fragmentsOf('m1', 'abcdefghij', 4)[0])
+  })
+
+  it('drops the oldest messages when over the memory limit', () => {
+    const reassembler = new Reassembler({ maxBytes: 10 })
+    const dropped = []
+    reassembler.on('drop', (info) => dropped.push(info))
+
+    reassembler.add(fragmentsOf('m1', 'abcdefghij', 4)[0])
+    reassembler.add(fragmentsOf('m2', 'abcdefghij', 4)[0])
+    reassembler.add(fragmentsOf('m3', 'abcdefghij', 4)[0])
+
+    expect(dropped.map((info) => info.reason)).to.eql(['memory'])
+    expect(Array.from(reassembler.pending.keys())).to.eql(['QmA:' + Buffer.from('m2').toString('hex'), 'QmA:' + Buffer.from('m3').toString('hex')])
+    expect(reassembler.size).to.equal(8)
+    reassembler.clear()
+  })
+
+  it('drops invalid fragments', () => {
+    const reassembler = new Reassembler({ maxFragments: 2 })
+    const dropped = []
+    reassembler.on('drop', (info) => dropped.push(info.reason))
+
+    expect(reassembler.add(fragmentsOf('m1', 'abcdefghij', 4)[0])).to.equal(null)
+
+    const frag = fragmentsOf('m2', 'abcdefgh', 4)[1]
+    frag.fragmentIndex = 2
+    expect(reassembler.add(frag)).to.equal(null)
+
+    expect(dropped).to.eql(['invalid', 'invalid'])
+    expect(reassembler.pending.size).to.equal(0)
+  })
+})
@@ -0,0 +1,41 @@
+/* eslint-env mocha */
+'use strict'
+
+const expect = require('chai').expect
+
+const MessageCache = require('../src/message-cache')
+
+describe('message cache', () => {
+  it('gossips only the last windows', () => {
+    const mcache = new MessageCache(2, 3)
+    mcache.put('a', { topicIDs: ['Z'] })
+    mcache.shift()
+    mcache.put('b', { topicIDs: ['Z', 'Y'] })
+    mcache.shift()
+    mcache.put('c', { topicIDs: ['Z'] })
+
+    expect(mcache.getGossipIDs('Z')).to.eql(['c', 'b'])
+    expect(mcache.getGossipIDs('Y')).to.eql(['b'])
+    expect(mcache.get('a')).to.eql({ topicIDs: ['Z'] })
+  })
+
+  it('gossips the messages of the topics of a pattern', () => {
+    const mcache = new MessageCache(3, 5)
+    mcache.put('a', { topicIDs: ['chain/1/blocks'] })
+    mcache.put('b', { topicIDs: ['chain/2/blocks'] })
+    mcache.put('c', { topicIDs: ['chain/1/txs'] })
+
+    expect(mcache.getGossipIDs('chain/1/*')).to.eql(['a', 'c'])
+    expect(mcache.getGossipIDs('chain/#')).to.eql(['a', 'b', 'c'])
+  })
+
+  it('forgets messages past the history length', () => {
+    const mcache = new MessageCache(1, 2)
+    mcache.put('a', { topicIDs: ['Z'] })
+    mcache.shift()
+    expect(mcache.get('a')).to.exist()
+    mcache.shift()
+    expect(mcache.get('a')).to.not.exist()
+    expect(mcache.getGossipIDs('Z')).to.eql([])
+  })
+})
@@ -297,6 +297,42 @@ describe('multiple nodes (more than 2)', () => {
           }
         }
       })
+
+      it('inbound validators gate emit and forwarding', (done) => {
+        let counter = 0
+
+        const ignore = (peer, msg, cb) => cb(null, 'ignore')
+        c.ps.addValidator('Z', ignore)
+
+        b.ps.on('Z', incMsg)
+        c.ps.on('Z', incMsg)
+        d.ps.on('Z', shouldNotHappen)
+        e.ps.on('Z', shouldNotHappen)
+
+        a.ps.publish('Z', Buffer.from('hey from a'))
+
+        function incMsg (msg) {
+          expect(msg.data.toString()).to.equal('hey from a')
+          check()
+        }
+
+        function shouldNotHappen () {
+          expect.fail()
+        }
+
+        function check () {
+          if (++counter === 2) {
+            setTimeout(() => {
+              c.ps.removeValidator('Z', ignore)
+              b.ps.removeListener('Z', incMsg)
+              c.ps.removeListener('Z', incMsg)
+              d.ps.removeListener('Z', shouldNotHappen)
+              e.ps.removeListener('Z', shouldNotHappen)
+              done()
+            }, 200)
+          }
+        }
+      })
     })
 
     describe('limit propagation', () => {
@@ -443,6 +479,467 @@ describe('multiple nodes (more than 2)', () => {
     })
   })
 
+  describe('mesh routing', () => {
+    // line, with a mesh degree of 1 to 2
+    // ◉────◉────◉
+    // a    b    c
+    let a
+    let b
+    let c
+
+    const options = {
+      router: 'mesh',
+      mesh: { D: 1, Dlo: 1, Dhi: 2, heartbeatInterval: 100 }
+    }
+
+    before((done) => {
+      parallel([
+        (cb) => spawnPubSubNode(options, cb),
+        (cb) => spawnPubSubNode(options, cb),
+        (cb) => spawnPubSubNode(options, cb)
+      ], (err, nodes) => {
+        if (err) {
+          return done(err)
+        }
+        a = nodes[0]
+        b = nodes[1]
+        c = nodes[2]
+
+        done()
+      })
+    })
+
+    after((done) => {
+      setTimeout(() => {
+        parallel([
+          (cb) => a.ps.stop(cb),
+          (cb) => b.ps.stop(cb),
+          (cb) => c.ps.stop(cb)
+        ], () => parallel([
+          (cb) => a.libp2p.stop(cb),
+          (cb) => b.libp2p.stop(cb),
+          (cb) => c.libp2p.stop(cb)
+        ], done))
+      }, 1000)
+    })
+
+    it('establish the connections', (done) => {
+      parallel([
+        (cb) => a.libp2p.dial(b.libp2p.peerInfo, cb),
+        (cb) => b.libp2p.dial(c.libp2p.peerInfo, cb)
+      ], (err) => {
+        expect(err).to.not.exist()
+        setTimeout(done, 200)
+      })
+    })
+
+    it('builds a bounded mesh', (done) => {
+      a.ps.subscribe('Z')
+      b.ps.subscribe('Z')
+      c.ps.subscribe('Z')
+
+      setTimeout(() => {
+        expect(b.ps.router.mesh.get('Z').size).to.be.within(1, 2)
+        expect(a.ps.router.mesh.get('Z').size).to.equal(1)
+        expect(c.ps.router.mesh.get('Z').size).to.equal(1)
+        done()
+      }, 500)
+    })
+
+    it('delivers to every node through the mesh or gossip', (done) => {
+      let counter = 0
+
+      a.ps.on('Z', incMsg)
+      b.ps.on('Z', incMsg)
+      c.ps.on('Z', incMsg)
+
+      a.ps.publish('Z', Buffer.from('hey from a'))
+
+      function incMsg (msg) {
+        expect(msg.data.toString()).to.equal('hey from a')
+        if (++counter === 3) {
+          a.ps.removeListener('Z', incMsg)
+          b.ps.removeListener('Z', incMsg)
+          c.ps.removeListener('Z', incMsg)
+          done()
+        }
+      }
+    })
+    it('builds the mesh of a pattern and delivers through it', (done) => {
+      a.ps.subscribe('chain/1/blocks')
+      b.ps.subscribe('chain/1/blocks')
+      c.ps.subscribe('chain/1/*')
+
+      setTimeout(() => {
+        expect(c.ps.router.mesh.get('chain/1/*').size).to.equal(1)
+        expect(b.ps.router.mesh.get('chain/1/blocks').has(c.libp2p.peerInfo.id.toB58String())).to.equal(true)
+
+        c.ps.once('chain/1/*', (msg) => {
+          expect(msg.data.toString()).to.equal('block from a')
+          setImmediate(() => {
+            expect(c.ps.router.mcache.getGossipIDs('chain/1/*')).to.have.length(1)
+            done()
+          })
+        })
+        a.ps.publish('chain/1/blocks', Buffer.from('block from a'))
+      }, 500)
+    })
+  })
+
+  describe('content addressed message ids', () => {
+    // line
+    // ◉────◉────◉
+    // a    b    c
+    let a
+    let b
+    let c
+
+    before((done) => {
+      parallel([
+        (cb) => spawnPubSubNode({ msgId: 'content' }, cb),
+        (cb) => spawnPubSubNode({ msgId: 'content' }, cb),
+        (cb) => spawnPubSubNode({ msgId: 'content' }, cb)
+      ], (err, nodes) => {
+        if (err) {
+          return done(err)
+        }
+        a = nodes[0]
+        b = nodes[1]
+        c = nodes[2]
+
+        done()
+      })
+    })
+
+    after((done) => {
+      parallel([
+        (cb) => a.ps.stop(cb),
+        (cb) => b.ps.stop(cb),
+        (cb) => c.ps.stop(cb)
+      ], () => parallel([
+        (cb) => a.libp2p.stop(cb),
+        (cb) => b.libp2p.stop(cb),
+        (cb) => c.libp2p.stop(cb)
+      ], done))
+    })
+
+    it('establish the connections', (done) => {
+      parallel([
+        (cb) => a.libp2p.dial(b.libp2p.peerInfo, cb),
+        (cb) => b.libp2p.dial(c.libp2p.peerInfo, cb)
+      ], (err) => {
+        expect(err).to.not.exist()
+        setTimeout(done, 200)
+      })
+    })
+
+    it('delivers the same payload from different publishers once', (done) => {
+      a.ps.subscribe('Z')
+      b.ps.subscribe('Z')
+      c.ps.subscribe('Z')
+
+      const received = { a: 0, b: 0, c: 0 }
+      a.ps.on('Z', () => received.a++)
+      b.ps.on('Z', () => received.b++)
+      c.ps.on('Z', () => received.c++)
+
+      setTimeout(() => {
+        a.ps.publish('Z', Buffer.from('same tx'))
+        c.ps.publish('Z', Buffer.from('same tx'))
+
+        setTimeout(() => {
+          expect(received).to.eql({ a: 1, b: 1, c: 1 })
+          done()
+        }, 500)
+      }, 200)
+    })
+    it('tells the requests and the replies of each responder apart', (done) => {
+      b.ps.respond('Q', (msg, cb) => cb(null, Buffer.from('pong')))
+      c.ps.respond('Q', (msg, cb) => cb(null, Buffer.from('pong')))
+
+      const request = (cb) => {
+        a.ps.request('Q', Buffer.from('ping'), { timeout: 1000, maxResponses: 2 }, (err, replies) => {
+          expect(err).to.not.exist()
+          expect(replies.map((msg) => msg.from).sort()).to.eql([
+            b.libp2p.peerInfo.id.toB58String(),
+            c.libp2p.peerInfo.id.toB58String()
+          ].sort())
+          cb()
+        })
+      }
+
+      setTimeout(() => request(() => request(done)), 200)
+    })
+  })
+
+  describe('fragmented messages', () => {
+    // line
+    // ◉────◉────◉
+    // a    b    c
+    let a
+    let b
+    let c
+
+    before((done) => {
+      const options = { fragments: { size: 100 } }
+      parallel([
+        (cb) => spawnPubSubNode(options, cb),
+        (cb) => spawnPubSubNode(options, cb),
+        (cb) => spawnPubSubNode(options, cb)
+      ], (err, nodes) => {
+        if (err) {
+          return done(err)
+        }
+        a = nodes[0]
+        b = nodes[1]
+        c = nodes[2]
+
+        done()
+      })
+    })
+
+    after((done) => {
+      parallel([
+        (cb) => a.ps.stop(cb),
+        (cb) => b.ps.stop(cb),
+        (cb) => c.ps.stop(cb)
+      ], () => parallel([
+        (cb) => a.libp2p.stop(cb),
+        (cb) => b.libp2p.stop(cb),
+        (cb) => c.libp2p.stop(cb)
+      ], done))
+    })
+
+    it('establish the connections', (done) => {
+      parallel([
+        (cb) => a.libp2p.dial(b.libp2p.peerInfo, cb),
+        (cb) => b.libp2p.dial(c.libp2p.peerInfo, cb)
+      ], (err) => {
+        expect(err).to.not.exist()
+        setTimeout(done, 200)
+      })
+    })
+
+    it('forwards the fragments and reassembles them', (done) => {
+      const data = Buffer.alloc(1050, 'x')
+      a.ps.subscribe('Z')
+      b.ps.subscribe('Z')
+      c.ps.subscribe('Z')
+
+      const received = { a: [], b: [], c: [] }
+      a.ps.on('Z', (msg) => received.a.push(msg.data))
+      b.ps.on('Z', (msg) => received.b.push(msg.data))
+      c.ps.on('Z', (msg) => received.c.push(msg.data))
+
+      setTimeout(() => {
+        a.ps.publish('Z', data, (err) => {
+          expect(err).to.not.exist()
+          // 11 fragments, each forwarded on its own
+          expect(a.ps.stats.totals.forwarded).to.equal(11)
+        })
+
+        setTimeout(() => {
+          expect(received).to.eql({ a: [data], b: [data], c: [data] })
+          expect(c.ps.stats.totals.received).to.equal(11)
+          expect(c.ps.reassembler.pending.size).to.equal(0)
+          done()
+        }, 500)
+      }, 200)
+    })
+
+    it('can not retain fragmented messages', (done) => {
+      a.ps.publish('Z', Buffer.alloc(150), { retain: true }, (err) => {
+        expect(err).to.exist()
+        done()
+      })
+    })
+  })
+
+  describe('request/response', () => {
+    // line
+    // ◉────◉────◉
+    // a    b    c
+    let a
+    let b
+    let c
+
+    before((done) => {
+      parallel([
+        (cb) => spawnPubSubNode(cb),
+        (cb) => spawnPubSubNode(cb),
+        (cb) => spawnPubSubNode(cb)
+      ], (err, nodes) => {
+        if (err) {
+          return done(err)
+        }
+        a = nodes[0]
+        b = nodes[1]
+        c = nodes[2]
+
+        done()
+      })
+    })
+
+    after((done) => {
+      parallel([
+        (cb) => a.ps.stop(cb),
+        (cb) => b.ps.stop(cb),
+        (cb) => c.ps.stop(cb)
+      ], () => parallel([
+        (cb) => a.libp2p.stop(cb),
+        (cb) => b.libp2p.stop(cb),
+        (cb) => c.libp2p.stop(cb)
+      ], done))
+    })
+
+    it('establish the connections', (done) => {
+      parallel([
+        (cb) => a.libp2p.dial(b.libp2p.peerInfo, cb),
+        (cb) => b.libp2p.dial(c.libp2p.peerInfo, cb)
+      ], (err) => {
+        expect(err).to.not.exist()
+        setTimeout(done, 200)
+      })
+    })
+
+    it('routes the replies back over multiple hops', (done) => {
+      b.ps.subscribe('Q')
+      b.ps.on('Q', (msg) => expect(msg.inReplyTo).to.not.exist())
+      c.ps.respond('Q', (msg, cb) => cb(null, Buffer.from('pong: ' + msg.data)))
+
+      setTimeout(() => {
+        a.ps.request('Q', Buffer.from('ping'), { timeout: 2000 }, (err, replies) => {
+          expect(err).to.not.exist()
+          expect(replies).to.have.length(1)
+          expect(replies[0].data.toString()).to.equal('pong: ping')
+          expect(replies[0].from).to.equal(c.libp2p.peerInfo.id.toB58String())
+          expect(a.ps.subscriptions.has('Q')).to.be.false()
+          done()
+        })
+      }, 200)
+    })
+
+    it('collects the replies until the timeout', (done) => {
+      b.ps.respond('Q', () => Promise.resolve(Buffer.from('from b')))
+
+      a.ps.request('Q', Buffer.from('ping'), { timeout: 500, maxResponses: 3 }, (err, replies) => {
+        expect(err).to.not.exist()
+        expect(replies.map((msg) => msg.data.toString()).sort())
+          .to.eql(['from b', 'pong: ping'])
+        done()
+      })
+    })
+  })
+
+  describe('direct messages', () => {
+    // line
+    // ◉────◉────◉
+    // a    b    c
+    let a
+    let b
+    let c
+
+    const shouldNotHappen = () => expect.fail()
+
+    before((done) => {
+      parallel([
+        (cb) => spawnPubSubNode({ directMessages: true }, cb),
+        (cb) => spawnPubSubNode({ directMessages: true }, cb),
+        (cb) => spawnPubSubNode({ directMessages: true }, cb)
+      ], (err, nodes) => {
+        if (err) {
+          return done(err)
+        }
+        a = nodes[0]
+        b = nodes[1]
+        c = nodes[2]
+
+        done()
+      })
+    })
+
+    after((done) => {
+      parallel([
+        (cb) => a.ps.stop(cb),
+        (cb) => b.ps.stop(cb),
+        (cb) => c.ps.stop(cb)
+      ], () => parallel([
+        (cb) => a.libp2p.stop(cb),
+        (cb) => b.libp2p.stop(cb),
+        (cb) => c.libp2p.stop(cb)
+      ], done))
+    })
+
+    it('establish the connections', (done) => {
+      parallel([
+        (cb) => a.libp2p.dial(b.libp2p.peerInfo, cb),
+        (cb) => b.libp2p.dial(c.libp2p.peerInfo, cb)
+      ], (err) => {
+        expect(err).to.not.exist()
+        setTimeout(done, 200)
+      })
+    })
+
+    it('only the destination emits them', (done) => {
+      b.ps.once('message:direct', shouldNotHappen)
+      a.ps.once('message:direct', shouldNotHappen)
+
+      c.ps.once('message:direct', (msg) => {
+        expect(msg.data.toString()).to.equal('hi c')
+        expect(msg.from).to.equal(a.libp2p.peerInfo.id.toB58String())
+
+        setTimeout(() => {
+          b.ps.removeListener('message:direct', shouldNotHappen)
+          a.ps.removeListener('message:direct', shouldNotHappen)
+          done()
+        }, 100)
+      })
+
+      a.ps.sendTo(c.libp2p.peerInfo.id.toB58String(), Buffer.from('hi c'))
+    })
+
+    it('seals them to the destination key', (done) => {
+      const relayed = []
+      const capture = (peer, msg, cb) => {
+        relayed.push(msg.data.toString())
+        cb(null, 'accept')
+      }
+      b.ps.addValidator(FloodSub.DIRECT_TOPIC, capture)
+
+      c.ps.once('message:direct', (msg) => {
+        expect(msg.data.toString()).to.equal('secret')
+        expect(relayed).to.have.length(1)
+        expect(relayed[0]).to.not.equal('secret')
+        b.ps.removeValidator(FloodSub.DIRECT_TOPIC, capture)
+        done()
+      })
+
+      a.ps.sendTo(c.libp2p.peerInfo.id, Buffer.from('secret'), {
+        seal: true,
+        publicKey: c.libp2p.peerInfo.id.pubKey
+      }, (err) => expect(err).to.not.exist())
+    })
+
+    it('relays do not reassemble them', (done) => {
+      const data = Buffer.alloc(150 * 1024, 'x')
+      const reassemble = b.ps.reassembler.add
+      let relayed = 0
+      b.ps.reassembler.add = (fragment) => {
+        relayed++
+        return reassemble.call(b.ps.reassembler, fragment)
+      }
+
+      c.ps.once('message:direct', (msg) => {
+        expect(msg.data).to.eql(data)
+        expect(relayed).to.equal(0)
+        b.ps.reassembler.add = reassemble
+        done()
+      })
+
+      a.ps.sendTo(c.libp2p.peerInfo.id, data, (err) => expect(err).to.not.exist())
+    })
+  })
+
   describe('only some nodes subscribe the networks', () => {
     describe('line', () => {
       // line
@@ -479,12 +976,17 @@ describe('multiple nodes (more than 2)', () => {
   })
 })
 
-function spawnPubSubNode (callback) {
+function spawnPubSubNode (options, callback) {
+  if (typeof options === 'function') {
+    callback = options
+    options = {}
+  }
+
   createNode('/ip4/127.0.0.1/tcp/0', (err, node) => {
     if (err) {
       return callback(err)
     }
-    const ps = new FloodSub(node)
+    const ps = new FloodSub(node, options)
     ps.start((err) => {
       if (err) {
         return callback(err)
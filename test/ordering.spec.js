@@ -0,0 +1,112 @@
+/* eslint-env mocha */
+'use strict'
+
+const expect = require('chai').expect
+
+const ReorderBuffer = require('../src/ordering')
+
+const msg = (sequence, from, topic) => ({
+  from: from || 'QmA',
+  topicIDs: [topic || 'Z'],
+  sequence: sequence,
+  data: Buffer.from(String(sequence))
+})
+
+const collect = (buffer) => {
+  const events = { messages: [], gaps: [], late: [] }
+  buffer.on('message', (msg) => events.messages.push(msg.sequence))
+  buffer.on('gap', (gap) => events.gaps.push(gap))
+  buffer.on('late', (msg) => events.late.push(msg.sequence))
+  return events
+}
+
+describe('reorder buffer', () => {
+  it('emits the messages in sequence order', (done) => {
+    const buffer = new ReorderBuffer({ window: 20 })
+    const events = collect(buffer)
+
+    // the first one can be out of order as well
+    buffer.push(msg(11))
+    buffer.push(msg(10))
+    expect(events.messages).to.eql([])
+
+    setTimeout(() => {
+      expect(events.messages).to.eql([10, 11])
+
+      buffer.push(msg(13))
+      expect(events.messages).to.eql([10, 11])
+      buffer.push(msg(12))
+      expect(events.messages).to.eql([10, 11, 12, 13])
+      expect(events.gaps).to.eql([])
+      expect(events.late).to.eql([])
+      buffer.clear()
+      done()
+    }, 50)
+  })
+
+  it('keeps a sequence per publisher and topic', (done) => {
+    const buffer = new ReorderBuffer({ window: 20 })
+    const events = collect(buffer)
+
+    buffer.push(msg(1, 'QmA', 'Z'))
+    buffer.push(msg(5, 'QmB', 'Z'))
+    buffer.push(msg(7, 'QmA', 'Y'))
+    buffer.push(msg(2, 'QmA', 'Z'))
+
+    setTimeout(() => {
+      expect(events.messages).to.eql([1, 2, 5, 7])
+      expect(buffer.streams.size).to.equal(3)
+      buffer.clear()
+      done()
+    }, 50)
+  })
+
+  it('forgets the idle publishers', (done) => {
+    const buffer = new ReorderBuffer({ window: 10, idle: 20 })
+    const events = collect(buffer)
+
+    buffer.push(msg(1))
+
+    setTimeout(() => {
+      expect(events.messages).to.eql([1])
+      expect(buffer.streams.size).to.equal(0)
+      done()
+    }, 100)
+  })
+
+  it('reports the gaps after the window', (done) => {
+    const buffer = new ReorderBuffer({ window: 20 })
+    const events = collect(buffer)
+
+    buffer.push(msg(1))
+    buffer.push(msg(4))
+    buffer.push(msg(5))
+
+    setTimeout(() => {
+      expect(events.messages).to.eql([1, 4, 5])
+      expect(events.gaps).to.eql([{ from: 'QmA', topic: 'Z', first: 2, last: 3 }])
+
+      // too late, it was skipped
+      buffer.push(msg(3))
+      expect(events.late).to.eql([3])
+      buffer.clear()
+      done()
+    }, 100)
+  })
+
+  it('skips the missing messages when too many are waiting', () => {
+    const buffer = new ReorderBuffer({ maxBuffered: 2 })
+    const events = collect(buffer)
+
+    buffer.push(msg(1))
+    buffer.push(msg(3))
+    buffer.push(msg(4))
+    expect(events.messages).to.eql([1])
+
+    // the start is fixed when too many are waiting as well
+    buffer.push(msg(6))
+    expect(events.messages).to.eql([1, 3, 4])
+    expect(events.gaps).to.eql([{ from: 'QmA', topic: 'Z', first: 2, last: 2 }])
+    buffer.clear()
+  })
+})
@@ -0,0 +1,145 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const Peer = require('../src/peer')
+
+const info = { id: { toB58String: () => 'QmPeer' } }
+const encode = (msg) => Buffer.from(JSON.stringify(msg))
+const frames = (peer) => peer.stream.buffer.map((b) => JSON.parse(b.toString()))
+
+describe('peer outbound queue', () => {
+  it('tracks the queue depth', () => {
+    const peer = new Peer(info)
+    peer.createStream(encode)
+    peer.write({ msgs: [{ a: 1 }, { b: 2 }] })
+    peer.write({ subscriptions: [{ topicCID: 'a', subscribe: true }] })
+
+    const bytes = peer.stream.buffer.reduce((sum, data) => sum + data.length, 0)
+    expect(peer.queueDepth).to.eql({ length: 2, bytes: bytes })
+  })
+
+  it('drops the oldest messages', () => {
+    const peer = new Peer(info, { queue: { maxLength: 2 } })
+    let saturated = 0
+    peer.on('saturated', () => saturated++)
+    peer.createStream(encode)
+    peer.write({ msgs: [{ a: 1 }] })
+    peer.write({ msgs: [{ b: 2 }] })
+    peer.write({ msgs: [{ c: 3 }] })
+    peer.write({ msgs: [{ d: 4 }] })
+
+    expect(frames(peer)).to.eql([{ msgs: [{ c: 3 }] }, { msgs: [{ d: 4 }] }])
+    expect(peer.dropped).to.eql(2)
+    expect(saturated).to.eql(1)
+  })
+
+  it('counts the messages, not the frames', () => {
+    const peer = new Peer(info, { queue: { maxLength: 3 } })
+    peer.createStream(encode)
+    peer.write({ msgs: [{ a: 1 }, { b: 2 }] })
+    peer.write({ msgs: [{ c: 3 }, { d: 4 }] })
+
+    expect(frames(peer)).to.eql([{ msgs: [{ c: 3 }, { d: 4 }] }])
+    expect(peer.queueDepth.length).to.eql(2)
+    expect(peer.dropped).to.eql(2)
+  })
+
+  it('keeps the subscriptions and control in a full queue', () => {
+    const peer = new Peer(info, { queue: { maxLength: 2 } })
+    peer.createStream(encode)
+    peer.sendSubscriptions(['important'])
+    peer.sendControl({ graft: [{ topicID: 'important' }] })
+    peer.sendMessages([{ a: 1 }])
+    peer.sendMessages([{ b: 2 }])
+    peer.sendMessages([{ c: 3 }])
+
+    expect(frames(peer)).to.eql([
+      { subscriptions: [{ subscribe: true, topicCID: 'important' }] },
+      { control: { graft: [{ topicID: 'important' }] } },
+      { msgs: [{ b: 2 }] },
+      { msgs: [{ c: 3 }] }
+    ])
+    expect(peer.dropped).to.eql(1)
+  })
+
+  it('drops the newest messages', (done) => {
+    const peer = new Peer(info, { queue: { maxLength: 1, policy: 'drop-newest' } })
+    peer.createStream(encode)
+    peer.write({ msgs: [{ a: 1 }] })
+    peer.write({ msgs: [{ b: 2 }] }, (err) => {
+      expect(err).to.exist()
+      expect(frames(peer)).to.eql([{ msgs: [{ a: 1 }] }])
+      expect(peer.dropped).to.eql(1)
+      done()
+    })
+  })
+
+  it('disconnects', (done) => {
+    const peer = new Peer(info, { queue: { maxLength: 1, policy: 'disconnect' } })
+    peer.once('close', () => {
+      expect(peer.isWritable).to.be.false()
+      done()
+    })
+    peer.createStream(encode)
+    peer.write({ msgs: [{ a: 1 }] })
+    peer.write({ msgs: [{ b: 2 }] })
+  })
+})
+
+describe('peer outbound batching', () => {
+  it('coalesces rpcs written within the window', (done) => {
+    const peer = new Peer(info, { batch: { window: 20 } })
+    peer.createStream(encode)
+    peer.sendSubscriptions(['a'])
+    peer.sendMessages([{ data: 1 }])
+    peer.sendMessages([{ data: 2 }])
+    peer.sendControl({ graft: [{ topicID: 'a' }] })
+
+    expect(peer.queueDepth.length).to.eql(0)
+
+    setTimeout(() => {
+      expect(frames(peer)).to.eql([{
+        subscriptions: [{ topicCID: 'a', subscribe: true }],
+        msgs: [{ data: 1 }, { data: 2 }],
+        control: { graft: [{ topicID: 'a' }] }
+      }])
+      done()
+    }, 50)
+  })
+
+  it('flushes once maxMessages is reached', () => {
+    const peer = new Peer(info, { batch: { window: 1000, maxMessages: 2 } })
+    peer.createStream(encode)
+    peer.sendMessages([{ data: 1 }])
+    peer.sendMessages([{ data: 2 }])
+    peer.sendMessages([{ data: 3 }])
+
+    expect(frames(peer)).to.eql([{ msgs: [{ data: 1 }, { data: 2 }] }])
+    peer.flush()
+    expect(frames(peer)).to.have.length(2)
+  })
+
+  it('sends the higher priorities first', () => {
+    const peer = new Peer(info, { batch: { window: 1000 } })
+    peer.createStream(encode)
+    peer.sendMessages([{ data: 1 }, { data: 2, priority: 1 }])
+    peer.sendMessages([{ data: 3, priority: 2 }, { data: 4 }])
+    peer.flush()
+
+    expect(frames(peer)[0].msgs.map((msg) => msg.data)).to.eql([3, 2, 1, 4])
+  })
+
+  it('sends right away when asked to flush', () => {
+    const peer = new Peer(info, { batch: { window: 1000 } })
+    peer.createStream(encode)
+    peer.sendMessages([{ data: 1 }])
+    peer.sendMessages([{ data: 2 }], true)
+
+    expect(frames(peer)).to.eql([{ msgs: [{ data: 1 }, { data: 2 }] }])
+    expect(peer._batchTimer).to.not.exist()
+  })
+})
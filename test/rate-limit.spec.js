@@ -0,0 +1,54 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const rateLimit = require('../src/rate-limit')
+const TokenBucket = rateLimit.TokenBucket
+const RateLimiter = rateLimit.RateLimiter
+
+describe('rate limit', () => {
+  it('token bucket refills over time', (done) => {
+    const bucket = new TokenBucket(100)
+    expect(bucket.wait(100)).to.eql(0)
+    bucket.take(100)
+    expect(bucket.wait(10)).to.be.within(90, 100)
+
+    setTimeout(() => {
+      expect(bucket.wait(10)).to.eql(0)
+      done()
+    }, 150)
+  })
+
+  it('checks messages and bytes limits per key', () => {
+    const limiter = new RateLimiter({
+      peer: { messages: 2, bytes: 100 }
+    })
+
+    expect(limiter.check('peer', 'a', 2, 50).limit).to.not.exist()
+    limiter.take('peer', 'a', 2, 50)
+    expect(limiter.check('peer', 'a', 1, 10).limit).to.eql('messages')
+    expect(limiter.check('peer', 'b', 1, 200).limit).to.eql('bytes')
+    expect(limiter.check('topic', 'Z', 1000, 1000).limit).to.not.exist()
+  })
+
+  it('forgets the full buckets, then the oldest topic ones', () => {
+    const limiter = new RateLimiter({
+      peer: { messages: 10 },
+      topic: { messages: 10 },
+      maxBuckets: 4
+    })
+
+    limiter.take('peer', 'a', 1, 0)
+    limiter.check('topic', 'full', 1, 0)
+    ;['x', 'y', 'z'].forEach((topic) => limiter.take('topic', topic, 1, 0))
+
+    expect(Array.from(limiter.buckets.keys())).to.eql(['peer:a', 'topic:y', 'topic:z'])
+  })
+
+  it('rejects unknown actions', () => {
+    expect(() => new RateLimiter({ action: 'explode' })).to.throw()
+  })
+})
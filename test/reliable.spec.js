@@ -0,0 +1,94 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+
+const Reliable = require('../src/reliable')
+const Stats = require('../src/stats')
+
+const fakeMulticast = () => {
+  const log = () => {}
+  const labelTopics = (msg) => msg.topicIDs.filter((topic) => topic === 'Z')
+  return { log: log, stats: new Stats(), _labelTopics: labelTopics }
+}
+
+const fakePeer = (id) => ({
+  info: { id: { toB58String: () => id } },
+  isWritable: true,
+  sent: [],
+  sendMessages (msgs) {
+    this.sent.push(msgs)
+  }
+})
+
+const msg = { from: 'QmA', seqno: Buffer.from('1'), topicIDs: ['Z'], data: Buffer.from('hi') }
+
+describe('reliable delivery', () => {
+  it('settles the messages once acknowledged', (done) => {
+    const reliable = new Reliable(fakeMulticast())
+    const peer = fakePeer('QmB')
+
+    reliable.track(peer, 'm1', msg, (result) => {
+      expect(result).to.eql({ peer: 'QmB', msgId: 'm1', status: 'delivered', attempts: 1 })
+      expect(reliable.pending.size).to.equal(0)
+      done()
+    })
+
+    reliable.handleAck('QmC', [{ messageIDs: ['m1'] }])
+    expect(reliable.pending.size).to.equal(1)
+    reliable.handleAck('QmB', [{ messageIDs: ['m1'] }])
+  })
+
+  it('sends the messages again with backoff, then gives up', (done) => {
+    const multicast = fakeMulticast()
+    const reliable = new Reliable(multicast, { retries: 2, backoff: 10 })
+    const peer = fakePeer('QmB')
+    const start = Date.now()
+
+    reliable.track(peer, 'm1', msg, (result) => {
+      expect(result.status).to.equal('timeout')
+      expect(result.attempts).to.equal(3)
+      expect(peer.sent).to.have.length(2)
+      expect(multicast.stats.totals.retransmitted).to.equal(2)
+      // 10 + 20 + 40
+      expect(Date.now() - start).to.be.at.least(65)
+      done()
+    })
+  })
+
+  it('only counts the retransmissions on our topics', (done) => {
+    const multicast = fakeMulticast()
+    const reliable = new Reliable(multicast, { retries: 1, backoff: 10 })
+    const madeUp = Object.assign({}, msg, { topicIDs: ['Z', 'made up'] })
+
+    reliable.track(fakePeer('QmB'), 'm1', madeUp, () => {
+      const stats = multicast.stats.toJSON()
+      expect(stats.topics.Z.retransmitted).to.equal(1)
+      expect(stats.topics).to.not.have.property('made up')
+      done()
+    })
+  })
+
+  it('gives up on the messages of removed peers', () => {
+    const reliable = new Reliable(fakeMulticast())
+    const results = []
+
+    reliable.track(fakePeer('QmB'), 'm1', msg, (result) => results.push(result.status))
+    reliable.track(fakePeer('QmB'), 'm1', msg, (result) => results.push(result.status))
+    reliable.track(fakePeer('QmC'), 'm1', msg, (result) => results.push(result.status))
+
+    reliable.removePeer('QmB')
+    expect(results).to.eql(['disconnected', 'disconnected'])
+
+    reliable.stop()
+    expect(results).to.eql(['disconnected', 'disconnected', 'stopped'])
+  })
+
+  it('knows the reliable topics', () => {
+    const reliable = new Reliable(fakeMulticast(), { topics: ['orders/#'] })
+    expect(reliable.isReliable(['orders/eu'])).to.be.true()
+    expect(reliable.isReliable(['chat'])).to.be.false()
+  })
+})
@@ -0,0 +1,59 @@
+/* eslint-env mocha */
+'use strict'
+
+const expect = require('chai').expect
+
+const RetainedStore = require('../src/retained')
+
+const msg = (topics, data, retain) => ({ topicIDs: topics, data: Buffer.from(data), retain: retain })
+
+describe('retained store', () => {
+  it('keeps the last messages of each topic', () => {
+    const store = new RetainedStore()
+    store.put(msg(['a'], '1', 1))
+    store.put(msg(['a', 'b'], '2', 1))
+    store.put(msg(['b'], '3', 2))
+
+    expect(store.get('a').map((e) => e.msg.data.toString())).to.eql(['2'])
+    expect(store.get('b').map((e) => e.msg.data.toString())).to.eql(['2', '3'])
+  })
+
+  it('caps the messages per topic', () => {
+    const store = new RetainedStore(2)
+    store.put(msg(['a'], '1', 5))
+    store.put(msg(['a'], '2', 5))
+    store.put(msg(['a'], '3', 5))
+
+    expect(store.get('a').map((e) => e.msg.data.toString())).to.eql(['2', '3'])
+  })
+
+  it('matches patterns', () => {
+    const store = new RetainedStore()
+    const m = msg(['chain/1/blocks', 'chain/1/txs'], '1', 1)
+    store.put(m)
+    store.put(msg(['chain/2/blocks'], '2', 1))
+
+    expect(store.get('chain/1/*')).to.eql([{ msg: m, plain: undefined }])
+    expect(store.get('chain/#')).to.have.length(2)
+  })
+
+  it('clears on empty messages', () => {
+    const store = new RetainedStore()
+    store.put(msg(['a'], '1', 1))
+    store.put(msg(['a'], '', 1))
+
+    expect(store.get('a')).to.eql([])
+  })
+
+  it('clears the topics matching a pattern', () => {
+    const store = new RetainedStore()
+    store.put(msg(['a/1'], '1', 1))
+    store.put(msg(['a/2'], '2', 1))
+    store.put(msg(['b'], '3', 1))
+
+    store.clear('a/*')
+    expect(store.get('#')).to.have.length(1)
+    store.clear()
+    expect(store.get('#')).to.have.length(0)
+  })
+})
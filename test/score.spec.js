@@ -0,0 +1,34 @@
+/* eslint-env mocha */
+'use strict'
+
+const expect = require('chai').expect
+
+const Score = require('../src/score')
+
+describe('score', () => {
+  it('weights the counters', () => {
+    const score = new Score({ weights: { duplicates: -1 } })
+    score.inc('firstDeliveries', 5)
+    score.inc('invalidMessages')
+    score.inc('duplicates', 2)
+
+    expect(score.value).to.eql(5 - 10 - 2)
+  })
+
+  it('caps the first deliveries', () => {
+    const score = new Score({ firstDeliveriesCap: 3 })
+    score.inc('firstDeliveries', 10)
+
+    expect(score.value).to.eql(3)
+  })
+
+  it('decays the counters', () => {
+    const score = new Score({ decay: 0.5, decayToZero: 1 })
+    score.inc('decodeFailures', 4)
+    score.decay()
+    expect(score.value).to.eql(-40)
+    score.decay()
+    score.decay()
+    expect(score.counters.decodeFailures).to.eql(0)
+  })
+})
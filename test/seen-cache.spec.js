@@ -0,0 +1,92 @@
+/* eslint-env mocha */
+'use strict'
+
+const expect = require('chai').expect
+
+const SeenCache = require('../src/seen-cache')
+
+describe('seen cache', () => {
+  describe('time backend', () => {
+    it('remembers keys and counts lookups', () => {
+      const cache = new SeenCache()
+      cache.put('a')
+
+      expect(cache.has('a')).to.eql(true)
+      expect(cache.has('b')).to.eql(false)
+      expect(cache.stats).to.include({ size: 1, hits: 1, misses: 1, hitRate: 0.5 })
+    })
+
+    it('looks keys up without counting', () => {
+      const cache = new SeenCache()
+      cache.put('a')
+
+      expect(cache.contains('a')).to.eql(true)
+      expect(cache.contains('b')).to.eql(false)
+      expect(cache.stats).to.include({ hits: 0, misses: 0 })
+    })
+
+    it('expires keys after the ttl', (done) => {
+      const cache = new SeenCache({ ttl: 20 })
+      cache.put('a')
+
+      setTimeout(() => {
+        expect(cache.has('a')).to.eql(false)
+        expect(cache.stats).to.include({ size: 0, expired: 1 })
+        done()
+      }, 40)
+    })
+
+    it('evicts the oldest keys above maxEntries', () => {
+      const cache = new SeenCache({ maxEntries: 2 })
+      cache.put('a')
+      cache.put('b')
+      cache.put('c')
+
+      expect(cache.has('a')).to.eql(false)
+      expect(cache.has('c')).to.eql(true)
+      expect(cache.stats).to.include({ size: 2, evictions: 1 })
+    })
+  })
+
+  describe('bloom backend', () => {
+    it('remembers keys', () => {
+      const cache = new SeenCache({ backend: 'bloom', maxEntries: 1000 })
+      for (let i = 0; i < 1000; i++) {
+        cache.put('key' + i)
+      }
+
+      let misses = 0
+      for (let i = 0; i < 1000; i++) {
+        if (!cache.has('key' + i)) misses++
+      }
+
+      expect(misses).to.eql(0)
+      expect(cache.has('other')).to.eql(false)
+      expect(cache.contains('other')).to.eql(false)
+      expect(cache.stats).to.include({ hits: 1000, misses: 1 })
+    })
+
+    it('keeps the previous filter when rotating', () => {
+      const cache = new SeenCache({ backend: 'bloom', maxEntries: 2 })
+      cache.put('a')
+      cache.put('b')
+      cache.put('c')
+      expect(cache.has('a')).to.eql(true)
+
+      cache.put('d')
+      cache.put('e')
+      expect(cache.has('a')).to.eql(false)
+      expect(cache.has('e')).to.eql(true)
+      expect(cache.stats.evictions).to.eql(2)
+    })
+  })
+
+  it('accepts a custom backend', () => {
+    const backend = { has: () => true, put: () => {} }
+    expect(new SeenCache({ backend: backend })).to.equal(backend)
+  })
+
+  it('throws on an unknown backend', () => {
+    expect(() => new SeenCache({ backend: 'nope' })).to.throw(/unknown seen cache backend/)
+  })
+})
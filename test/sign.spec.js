@@ -0,0 +1,96 @@
+/* eslint-env mocha */
+'use strict'
+
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
+const PeerId = require('peer-id')
+
+const sign = require('../src/message/sign')
+const utils = require('../src/utils')
+
+describe('message signing', () => {
+  let peerId
+  let otherId
+
+  before((done) => {
+    PeerId.create({ bits: 1024 }, (err, id) => {
+      expect(err).to.not.exist()
+      peerId = id
+      PeerId.create({ bits: 1024 }, (err, id) => {
+        expect(err).to.not.exist()
+        otherId = id
+        done()
+      })
+    })
+  })
+
+  function message () {
+    return {
+      from: peerId.toB58String(),
+      data: Buffer.from('hello'),
+      seqno: Buffer.from(utils.randomSeqno()),
+      hops: 3,
+      topicIDs: ['Z']
+    }
+  }
+
+  it('signs and verifies a message', (done) => {
+    sign.signMessage(peerId, message(), (err, signed) => {
+      expect(err).to.not.exist()
+      expect(signed.signature).to.exist()
+      expect(signed.key).to.eql(peerId.pubKey.bytes)
+
+      sign.verifySignature(signed, (err, valid) => {
+        expect(err).to.not.exist()
+        expect(valid).to.be.true()
+        done()
+      })
+    })
+  })
+
+  it('hop changes do not invalidate the signature', (done) => {
+    sign.signMessage(peerId, message(), (err, signed) => {
+      expect(err).to.not.exist()
+      signed.hops = 0
+
+      sign.verifySignature(signed, (err, valid) => {
+        expect(err).to.not.exist()
+        expect(valid).to.be.true()
+        done()
+      })
+    })
+  })
+
+  it('rejects tampered data', (done) => {
+    sign.signMessage(peerId, message(), (err, signed) => {
+      expect(err).to.not.exist()
+      signed.data = Buffer.from('bye')
+
+      sign.verifySignature(signed, (err, valid) => {
+        expect(err).to.not.exist()
+        expect(valid).to.be.false()
+        done()
+      })
+    })
+  })
+
+  it('rejects a key that does not match the sender', (done) => {
+    sign.signMessage(otherId, message(), (err, signed) => {
+      expect(err).to.not.exist()
+
+      sign.verifySignature(signed, (err) => {
+        expect(err).to.exist()
+        done()
+      })
+    })
+  })
+
+  it('unsigned messages are not valid', (done) => {
+    sign.verifySignature(message(), (err, valid) => {
+      expect(err).to.not.exist()
+      expect(valid).to.be.false()
+      done()
+    })
+  })
+})
@@ -0,0 +1,54 @@
+/* eslint-env mocha */
+'use strict'
+
+const expect = require('chai').expect
+
+const Stats = require('../src/stats')
+const SeenCache = require('../src/seen-cache')
+
+describe('stats', () => {
+  it('counts in total, per topic and per peer', () => {
+    const stats = new Stats()
+    stats.inc('received', { topics: ['a', 'b'], peer: 'QmA' })
+    stats.inc('received', { topics: ['a'], peer: 'QmB' })
+    stats.inc('bytesIn', { peer: 'QmA' }, 100)
+    stats.inc('published', { topics: ['a'] }, 3)
+
+    const json = stats.toJSON()
+    expect(json.totals).to.include({ received: 2, bytesIn: 100, published: 3 })
+    expect(json.topics.a).to.include({ received: 2, published: 3 })
+    expect(json.topics.b).to.include({ received: 1 })
+    expect(json.peers.QmA).to.include({ received: 1, bytesIn: 100 })
+    expect(json.peers.QmB).to.include({ received: 1, bytesIn: 0 })
+
+    stats.removePeer('QmB')
+    expect(stats.toJSON().peers).to.have.all.keys('QmA')
+  })
+
+  it('exposes the counters for Prometheus', () => {
+    const stats = new Stats()
+    stats.inc('hopLimited', { topics: ['say "hi"'], peer: 'QmA' })
+
+    const lines = stats.toPrometheus('mc').split('\n')
+    expect(lines).to.include('# TYPE mc_hop_limited_total counter')
+    expect(lines).to.include('mc_hop_limited_total 1')
+    expect(lines).to.include('mc_topic_hop_limited_total{topic="say \\"hi\\""} 1')
+    expect(lines).to.include('mc_peer_hop_limited_total{peer="QmA"} 1')
+    expect(lines).to.include('mc_published_total 0')
+  })
+
+  it('reports the seen cache stats along', () => {
+    const stats = new Stats()
+    stats.seenCache = new SeenCache()
+    stats.seenCache.put('a')
+    stats.seenCache.has('a')
+
+    expect(stats.toJSON().seenCache).to.include({ size: 1, hits: 1, misses: 0 })
+
+    const lines = stats.toPrometheus('mc').split('\n')
+    expect(lines).to.include('# TYPE mc_seen_cache_size gauge')
+    expect(lines).to.include('mc_seen_cache_size 1')
+    expect(lines).to.include('mc_seen_cache_hits_total 1')
+    expect(lines).to.include('mc_seen_cache_hit_rate 1')
+  })
+})
@@ -1,7 +1,9 @@
 /* eslint-env mocha */
 'use strict'
 
-const expect = require('chai').expect
+const chai = require('chai')
+chai.use(require('dirty-chai'))
+const expect = chai.expect
 
 const utils = require('../src/utils')
 
@@ -36,11 +38,99 @@ describe('utils', () => {
     })
   })
 
+  it('isExpired', () => {
+    expect(utils.isExpired({ ttl: 0, timestamp: 0 })).to.eql(false)
+    expect(utils.isExpired({ ttl: 1000, timestamp: Date.now() })).to.eql(false)
+    expect(utils.isExpired({ ttl: 1000, timestamp: Date.now() - 2000 })).to.eql(true)
+  })
+
+  it('topicMatch', () => {
+    expect(utils.topicMatch('a/b', 'a/b')).to.eql(true)
+    expect(utils.topicMatch('a/b', 'a/c')).to.eql(false)
+    expect(utils.topicMatch('chain/1/*', 'chain/1/blocks')).to.eql(true)
+    expect(utils.topicMatch('chain/1/*', 'chain/1')).to.eql(false)
+    expect(utils.topicMatch('chain/1/*', 'chain/1/blocks/2')).to.eql(false)
+    expect(utils.topicMatch('chain/*/blocks', 'chain/2/blocks')).to.eql(true)
+    expect(utils.topicMatch('alerts/#', 'alerts')).to.eql(true)
+    expect(utils.topicMatch('alerts/#', 'alerts/eth/high')).to.eql(true)
+    expect(utils.topicMatch('alerts/#', 'other/eth')).to.eql(false)
+    expect(utils.topicMatch('#/alerts', 'x/alerts')).to.eql(false)
+    expect(utils.topicMatch('#', 'anything/at/all')).to.eql(true)
+  })
+
+  it('topicsOverlap', () => {
+    expect(utils.topicsOverlap('chain/1/*', 'chain/1/blocks')).to.eql(true)
+    expect(utils.topicsOverlap('chain/1/blocks', 'chain/1/*')).to.eql(true)
+    expect(utils.topicsOverlap('chain/1/*', 'chain/2/blocks')).to.eql(false)
+  })
+
+  it('anyTopicMatch', () => {
+    expect(utils.anyTopicMatch(new Set(['x', 'a/*']), ['b', 'a/c'])).to.eql(true)
+    expect(utils.anyTopicMatch(['x', 'a/*'], new Set(['b', 'a']))).to.eql(false)
+  })
+
+  it('contentId', () => {
+    const msg = { topicIDs: ['a', 'b'], data: Buffer.from('hello') }
+
+    expect(utils.contentId(msg)).to.have.length(64)
+    expect(utils.contentId({ topicIDs: ['b', 'a'], data: Buffer.from('hello') }))
+      .to.eql(utils.contentId(msg))
+    expect(utils.contentId({ topicIDs: ['a'], data: Buffer.from('hello') }))
+      .to.not.eql(utils.contentId(msg))
+
+    const request = Object.assign({ replyTo: Buffer.from('1') }, msg)
+    expect(utils.contentId(request)).to.not.eql(utils.contentId(msg))
+    expect(utils.contentId(Object.assign({}, request, { replyTo: Buffer.from('2') })))
+      .to.not.eql(utils.contentId(request))
+
+    const reply = Object.assign({ from: 'QmA', inReplyTo: Buffer.from('1') }, msg)
+    expect(utils.contentId(Object.assign({}, reply, { from: 'QmB' })))
+      .to.not.eql(utils.contentId(reply))
+  })
+
   it('ensureArray', () => {
     expect(utils.ensureArray('hello')).to.be.eql(['hello'])
     expect(utils.ensureArray([1, 2])).to.be.eql([1, 2])
   })
 
+  it('maybePromise', (done) => {
+    const fn = (cb) => cb(null, 'hello')
+    const fail = (cb) => cb(new Error('boom'))
+
+    expect(utils.maybePromise((err, res) => {
+      expect(err).to.not.exist()
+      expect(res).to.eql('hello')
+    }, fn)).to.not.exist()
+
+    utils.maybePromise(null, fn)
+      .then((res) => {
+        expect(res).to.eql('hello')
+        return utils.maybePromise(null, fail)
+      })
+      .then(() => expect.fail(), (err) => {
+        expect(err.message).to.eql('boom')
+        done()
+      })
+  })
+
+  it('runHook', (done) => {
+    const results = []
+    const collect = (err, res) => {
+      results.push(err ? err.message : res)
+      if (results.length === 5) {
+        expect(results.sort()).to.eql(['async', 'boom', 'callback', false, true])
+        done()
+      }
+    }
+
+    utils.runHook((a, cb) => cb(null, 'callback'), [1], collect)
+    // the timer returned is not the result
+    utils.runHook((a, cb) => setTimeout(() => cb(null, false), 10), [1], collect)
+    utils.runHook((a) => a, [true], collect)
+    utils.runHook(() => Promise.resolve('async'), [], collect)
+    utils.runHook(() => { throw new Error('boom') }, [], collect)
+  })
+
   it('converts an IN msg.from to b58', () => {
     let binaryId = Buffer.from('1220e2187eb3e6c4fb3e7ff9ad4658610624a6315e0240fc6f37130eedb661e939cc', 'hex')
     let stringId = 'QmdZEWgtaWAxBh93fELFT298La1rsZfhiC2pqwMVwy3jZM'